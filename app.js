@@ -13,29 +13,325 @@ function getAudioContext() {
     return audioContext;
 }
 
+// --- Microphone Input ---
+// One shared microphone source; each feature connects its own analysers to it
+// and releases it when done, so the mic only closes once nobody is listening.
+const microphone = {
+    source: null,
+    users: 0,
+    pending: null,
+
+    async acquire() {
+        if (!this.source) {
+            if (!this.pending) {
+                // Raw signal: echo cancellation and noise suppression smear pitch and onsets
+                this.pending = navigator.mediaDevices.getUserMedia({
+                    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+                }).then((stream) => {
+                    this.source = getAudioContext().createMediaStreamSource(stream);
+                    return this.source;
+                }).finally(() => {
+                    this.pending = null;
+                });
+            }
+            await this.pending;
+        }
+        this.users++;
+        return this.source;
+    },
+
+    release() {
+        this.users = Math.max(0, this.users - 1);
+        if (this.users > 0 || !this.source) return;
+        this.source.mediaStream.getTracks().forEach(track => track.stop());
+        this.source.disconnect();
+        this.source = null;
+    }
+};
+
+// --- Settings ---
+// Preferences restored on the next visit (BPM, tuning, reference pitch, last
+// section...), kept together under one localStorage key
+const settings = {
+    storageKey: "guitarApp.settings",
+    values: {},
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && typeof saved === "object") this.values = saved;
+        } catch (err) {
+            console.warn("Could not load settings:", err);
+        }
+    },
+
+    get(key, fallback) {
+        return key in this.values ? this.values[key] : fallback;
+    },
+
+    set(key, value) {
+        this.values[key] = value;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (err) {
+            console.warn("Could not save settings:", err);
+        }
+    }
+};
+
+// --- Reference Pitch ---
+// Frequency of A4 that every detected and synthesized pitch is based on
+const referencePitch = {
+    legacyKey: "guitarApp.referencePitch",   // Where it was saved before the settings store
+    min: 415,
+    max: 466,
+    value: 440,
+
+    load() {
+        let saved = settings.get("referencePitch");
+        if (saved === undefined) {
+            try {
+                saved = parseFloat(localStorage.getItem(this.legacyKey));
+            } catch (err) {
+                console.warn("Could not load reference pitch:", err);
+            }
+        }
+        if (saved >= this.min && saved <= this.max) this.value = saved;
+    },
+
+    set(hz) {
+        this.value = Math.max(this.min, Math.min(this.max, hz));
+        settings.set("referencePitch", this.value);
+        return this.value;
+    }
+};
+
+// --- Note Helpers ---
+// All chromatic notes, indexed by MIDI number % 12
+const noteStrings = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+function midiToFrequency(midi) {
+    return referencePitch.value * Math.pow(2, (midi - 69) / 12);
+}
+
+function frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / referencePitch.value);
+}
+
+function midiToNoteName(midi) {
+    return noteStrings[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+// Parses names like "E2", "F#3", "Bb1" or "E♭4" into a MIDI number (null if invalid)
+function parseNoteName(text) {
+    const match = /^([A-Ga-g])([#♯b♭]?)(-?\d)$/.exec(text.trim());
+    if (!match) return null;
+
+    let pitchClass = noteStrings.indexOf(match[1].toUpperCase());
+    if (match[2] === "#" || match[2] === "♯") pitchClass += 1;
+    if (match[2] === "b" || match[2] === "♭") pitchClass -= 1;
+
+    const midi = (parseInt(match[3]) + 1) * 12 + pitchClass;
+    return (midi >= 0 && midi <= 127) ? midi : null;
+}
+
+// --- Tuning Presets ---
+// Strings are listed from low (6th) to high (1st) as MIDI note numbers
+const tuningPresets = [
+    { id: "standard",       name: "Standard (EADGBE)",       midi: [40, 45, 50, 55, 59, 64] },
+    { id: "half-step-down", name: "Half Step Down (E♭A♭D♭G♭B♭E♭)", midi: [39, 44, 49, 54, 58, 63] },
+    { id: "drop-d",         name: "Drop D (DADGBE)",         midi: [38, 45, 50, 55, 59, 64] },
+    { id: "dadgad",         name: "DADGAD",                  midi: [38, 45, 50, 55, 57, 62] },
+    { id: "open-g",         name: "Open G (DGDGBD)",         midi: [38, 43, 50, 55, 59, 62] },
+    { id: "open-d",         name: "Open D (DADF#AD)",        midi: [38, 45, 50, 54, 57, 62] },
+];
+
+class TuningManager {
+    constructor() {
+        this.storageKey = "guitarApp.tunings";
+        this.customTunings = [];
+        this.selectedId = "standard";
+        this.load();
+    }
+
+    // Custom tunings live under their own key; the selection is a setting
+    // (older saves kept it next to the custom tunings)
+    load() {
+        let selectedId;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                this.customTunings = Array.isArray(saved.custom) ? saved.custom : [];
+                selectedId = saved.selectedId;
+            }
+        } catch (err) {
+            console.warn("Could not load saved tunings:", err);
+        }
+        selectedId = settings.get("tuning", selectedId);
+        if (this.find(selectedId)) this.selectedId = selectedId;
+    }
+
+    save() {
+        settings.set("tuning", this.selectedId);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ custom: this.customTunings }));
+        } catch (err) {
+            console.warn("Could not save tunings:", err);
+        }
+    }
+
+    get all() {
+        return tuningPresets.concat(this.customTunings);
+    }
+
+    get current() {
+        return this.find(this.selectedId) || tuningPresets[0];
+    }
+
+    find(id) {
+        return this.all.find(tuning => tuning.id === id);
+    }
+
+    select(id) {
+        if (!this.find(id)) return;
+        this.selectedId = id;
+        this.save();
+    }
+
+    addCustom(name, midi) {
+        const tuning = { id: `custom-${Date.now()}`, name, midi, custom: true };
+        this.customTunings.push(tuning);
+        this.selectedId = tuning.id;
+        this.save();
+        return tuning;
+    }
+
+    removeCustom(id) {
+        this.customTunings = this.customTunings.filter(tuning => tuning.id !== id);
+        if (this.selectedId === id) this.selectedId = "standard";
+        this.save();
+    }
+
+    // Strings of the current tuning, low to high, with their target pitches
+    getStrings() {
+        return this.current.midi.map((midi, index) => ({
+            number: 6 - index,
+            midi,
+            name: noteStrings[midi % 12],
+            fullName: midiToNoteName(midi),
+            frequency: midiToFrequency(midi)
+        }));
+    }
+
+    // Index of the string whose target pitch is closest (in cents) to the frequency
+    findNearestString(frequency) {
+        let nearest = 0;
+        let smallest = Infinity;
+        this.getStrings().forEach((string, index) => {
+            const distance = Math.abs(Math.log2(frequency / string.frequency));
+            if (distance < smallest) {
+                smallest = distance;
+                nearest = index;
+            }
+        });
+        return nearest;
+    }
+}
+
+// --- Pitch Detection Pipeline ---
+// Feeds analyser frames to PitchDetection.yin (pitch-detection.js) in a Web Worker,
+// or on the main thread where workers are unavailable (e.g. pages opened from file://),
+// and smooths the raw results before they reach the display.
+class PitchPipeline {
+    constructor(onPitch) {
+        this.onPitch = onPitch;
+        this.worker = null;
+        this.buffer = null;
+        this.scratch = null;
+        this.busy = false;
+        this.smoother = PitchDetection.createSmoother();
+    }
+
+    init(bufferLength) {
+        this.buffer = new Float32Array(bufferLength);
+        this.busy = false;
+        this.smoother.reset();
+
+        if (this.worker || typeof Worker === "undefined") return;
+        try {
+            this.worker = new Worker("pitch-worker.js");
+            this.worker.onmessage = (e) => {
+                this.buffer = e.data.buffer;
+                this.busy = false;
+                this.handleResult(e.data.result);
+            };
+            this.worker.onerror = (e) => {
+                console.warn("Pitch worker unavailable, detecting on the main thread:", e.message);
+                this.useMainThread();
+            };
+        } catch (err) {
+            console.warn("Pitch worker unavailable, detecting on the main thread:", err);
+            this.useMainThread();
+        }
+    }
+
+    useMainThread() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        if (this.busy) this.buffer = new Float32Array(this.buffer ? this.buffer.length : 4096);
+        this.busy = false;
+    }
+
+    // Reads the latest frame; skipped while the worker still holds the buffer
+    process(analyser, sampleRate) {
+        if (this.busy || !this.buffer) return;
+        analyser.getFloatTimeDomainData(this.buffer);
+
+        if (this.worker) {
+            this.busy = true;
+            this.worker.postMessage({ buffer: this.buffer, sampleRate }, [this.buffer.buffer]);
+            return;
+        }
+
+        if (!this.scratch || this.scratch.difference.length < this.buffer.length) {
+            this.scratch = PitchDetection.createScratch(this.buffer.length);
+        }
+        this.handleResult(PitchDetection.yin(this.buffer, sampleRate, {}, this.scratch));
+    }
+
+    handleResult(result) {
+        const frequency = this.smoother.push(result);
+        this.onPitch(frequency, result.confidence);
+    }
+}
+
 // --- Tuner Implementation ---
 class Tuner {
     constructor() {
         this.isPlaying = false;
         this.source = null;
         this.analyser = null;
-        this.bufferLength = 2048;
-        this.dataArray = null;
+        // Long enough to hold several periods of a low E (82 Hz) string
+        this.bufferLength = 4096;
         this.rafId = null;
+        this.pipeline = new PitchPipeline((frequency) => {
+            if (!this.isPlaying) return;
+            if (frequency !== -1) this.processPitch(frequency);
+            else this.emit(null);
+        });
 
-        // Guitar Standard Tuning Frequencies (Approximate)
-        // E2, A2, D3, G3, B3, E4
-        this.notes = [
-            { name: "E", frequency: 82.41 },
-            { name: "A", frequency: 110.00 },
-            { name: "D", frequency: 146.83 },
-            { name: "G", frequency: 196.00 },
-            { name: "B", frequency: 246.94 },
-            { name: "E", frequency: 329.63 }
-        ];
+        // Pitch stream subscribers; each receives a reading, or null during silence
+        this.listeners = [];
 
-        // All chromatic notes for generic display
-        this.noteStrings = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+        // Strum check: all six strings at once from a high-resolution spectrum
+        this.strumCheck = false;
+        this.spectrumAnalyser = null;
+        this.spectrum = null;
+        this.spectrumSize = 32768; // ~1.5 Hz bins at 48 kHz, enough to resolve a low E
+        this.stringCents = [];
+
+        // String index (0 = low 6th string) to tune against, or null to auto-detect
+        this.lockedString = null;
     }
 
     async start() {
@@ -43,13 +339,19 @@ class Tuner {
         await ctx.resume();
 
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            this.source = ctx.createMediaStreamSource(stream);
+            this.source = await microphone.acquire();
             this.analyser = ctx.createAnalyser();
-            this.analyser.fftSize = 2048;
+            this.analyser.fftSize = this.bufferLength;
             this.source.connect(this.analyser);
+
+            this.spectrumAnalyser = ctx.createAnalyser();
+            this.spectrumAnalyser.fftSize = this.spectrumSize;
+            this.spectrumAnalyser.smoothingTimeConstant = 0.85;
+            this.source.connect(this.spectrumAnalyser);
+            this.spectrum = new Float32Array(this.spectrumAnalyser.frequencyBinCount);
+            this.stringCents = [];
             
-            this.dataArray = new Float32Array(this.bufferLength);
+            this.pipeline.init(this.bufferLength);
             this.isPlaying = true;
             this.update();
             
@@ -65,10 +367,12 @@ class Tuner {
         this.isPlaying = false;
         if (this.rafId) cancelAnimationFrame(this.rafId);
         if (this.source) {
-            this.source.mediaStream.getTracks().forEach(track => track.stop());
-            this.source.disconnect();
+            this.source.disconnect(this.analyser);
+            this.source.disconnect(this.spectrumAnalyser);
             this.source = null;
+            microphone.release();
         }
+        this.stringCents = [];
         ui.setTunerActive(false);
         ui.resetTunerDisplay();
     }
@@ -76,467 +380,5869 @@ class Tuner {
     update() {
         if (!this.isPlaying) return;
 
-        this.analyser.getFloatTimeDomainData(this.dataArray);
-        const pitch = this.autoCorrelate(this.dataArray, audioContext.sampleRate);
+        if (this.strumCheck) {
+            this.processSpectrum();
+        } else {
+            this.pipeline.process(this.analyser, audioContext.sampleRate);
+        }
+        this.rafId = requestAnimationFrame(() => this.update());
+    }
+
+    setStrumCheck(enabled) {
+        this.strumCheck = enabled;
+        this.stringCents = [];
+        this.pipeline.smoother.reset();
+    }
+
+    processSpectrum() {
+        this.spectrumAnalyser.getFloatFrequencyData(this.spectrum);
+        const strings = tuningManager.getStrings();
+        const results = PitchDetection.estimateStrings(
+            this.spectrum,
+            audioContext.sampleRate,
+            this.spectrumAnalyser.fftSize,
+            strings.map(string => string.frequency)
+        );
+
+        // Ease each string's reading so the mini gauges settle instead of flickering
+        const cents = results.map((result, index) => {
+            if (!result) return null;
+            const previous = this.stringCents[index];
+            return (previous === null || previous === undefined)
+                ? result.cents
+                : previous + (result.cents - previous) * 0.3;
+        });
+        this.stringCents = cents;
+        ui.updateStrumCheck(strings, cents);
+    }
+
+    processPitch(frequency) {
+        const strings = tuningManager.getStrings();
+        const index = this.lockedString !== null
+            ? this.lockedString
+            : tuningManager.findNearestString(frequency);
+        const target = strings[index];
+        const cents = this.getCents(frequency, target.frequency);
+        this.emit({ note: target.name, frequency, cents, stringIndex: index, time: performance.now() });
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(reading) {
+        this.listeners.forEach(listener => listener(reading));
+    }
+
+    lockString(index) {
+        this.lockedString = index;
+    }
+
+    getNote(frequency) {
+        const midiNum = Math.round(frequencyToMidi(frequency));
+        const frequencyStandard = midiToFrequency(midiNum);
+        
+        return {
+            name: noteStrings[midiNum % 12],
+            frequency: frequencyStandard,
+            midi: midiNum
+        };
+    }
+
+    getCents(frequency, targetFrequency) {
+        return 1200 * Math.log2(frequency / targetFrequency);
+    }
+}
+
+// --- Tuner Displays ---
+// Alternatives to the gauge needle, drawn on canvases from the tuner's pitch stream
+
+function resizeCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+}
+
+// Strobe: bands drift right when sharp and left when flat, and stand still in tune.
+// Each row follows a higher harmonic, so it moves proportionally faster.
+class StrobeDisplay {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.cents = 0;
+        this.active = false;
+        this.phase = 0;
+        this.lastTime = 0;
+        this.rafId = null;
+        this.bandsPerSecondPerCent = 0.08; // 10 cents off = 0.8 bands per second
+    }
+
+    update(reading) {
+        this.active = reading !== null;
+        if (reading) this.cents = reading.cents;
+    }
+
+    start() {
+        if (this.rafId) return;
+        this.lastTime = performance.now();
+        const loop = (now) => {
+            this.draw(now);
+            this.rafId = requestAnimationFrame(loop);
+        };
+        this.rafId = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.rafId) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        this.active = false;
+        this.draw(performance.now());
+    }
 
-        if (pitch !== -1) {
-            this.processPitch(pitch);
+    draw(now) {
+        resizeCanvas(this.canvas);
+        const { ctx, canvas } = this;
+        const elapsed = Math.min(0.1, (now - this.lastTime) / 1000);
+        this.lastTime = now;
+
+        if (this.active) {
+            this.phase = (this.phase + this.cents * this.bandsPerSecondPerCent * elapsed) % 1;
         }
 
-        this.rafId = requestAnimationFrame(() => this.update());
+        const inTune = this.active && Math.abs(this.cents) < 5;
+        const rows = 3;
+        const rowHeight = canvas.height / rows;
+
+        ctx.fillStyle = "#2a2a30";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = !this.active ? "#444" : (inTune ? "#04d361" : "#8257e5");
+
+        for (let row = 0; row < rows; row++) {
+            const harmonic = row + 1;
+            const bandWidth = canvas.width / (4 * harmonic);
+            const offset = ((this.phase * harmonic) % 1) * bandWidth * 2;
+            for (let x = offset - bandWidth * 2; x < canvas.width; x += bandWidth * 2) {
+                ctx.fillRect(x, row * rowHeight + 2, bandWidth, rowHeight - 4);
+            }
+        }
+    }
+}
+
+// History graph: cents deviation over the last few seconds, to show drift and
+// how steady a sustained note is. Breaks in the line mark silence or a new note.
+class PitchGraph {
+    constructor(canvas, seconds = 10) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.seconds = seconds;
+        this.range = 50; // cents shown above and below the centre line
+        this.points = [];
+        this.rafId = null;
+    }
+
+    update(reading) {
+        const now = performance.now();
+        this.points.push(reading
+            ? { time: reading.time, cents: reading.cents, note: reading.note }
+            : { time: now, cents: null, note: null });
+
+        const cutoff = now - this.seconds * 1000;
+        while (this.points.length && this.points[0].time < cutoff) this.points.shift();
+    }
+
+    clear() {
+        this.points = [];
+        this.draw(performance.now());
+    }
+
+    start() {
+        if (this.rafId) return;
+        const loop = (now) => {
+            this.draw(now);
+            this.rafId = requestAnimationFrame(loop);
+        };
+        this.rafId = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.rafId) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+    }
+
+    // Standard deviation in cents of the current note's recent readings
+    getStability() {
+        const recent = [];
+        for (let i = this.points.length - 1; i >= 0; i--) {
+            const point = this.points[i];
+            if (point.cents === null || (recent.length && point.note !== recent[0].note)) break;
+            recent.push(point);
+        }
+        if (recent.length < 5) return null;
+        const mean = recent.reduce((sum, p) => sum + p.cents, 0) / recent.length;
+        const variance = recent.reduce((sum, p) => sum + (p.cents - mean) * (p.cents - mean), 0) / recent.length;
+        return Math.sqrt(variance);
+    }
+
+    draw(now) {
+        resizeCanvas(this.canvas);
+        const { ctx, canvas } = this;
+        const ratio = window.devicePixelRatio || 1;
+        const toX = time => canvas.width - ((now - time) / (this.seconds * 1000)) * canvas.width;
+        const toY = cents => canvas.height / 2 - (Math.max(-this.range, Math.min(this.range, cents)) / this.range) * (canvas.height / 2 - 4);
+
+        ctx.fillStyle = "#2a2a30";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // In-tune band (±5 cents) and centre line
+        ctx.fillStyle = "rgba(4, 211, 97, 0.12)";
+        ctx.fillRect(0, toY(5), canvas.width, toY(-5) - toY(5));
+        ctx.strokeStyle = "#04d361";
+        ctx.lineWidth = ratio;
+        ctx.beginPath();
+        ctx.moveTo(0, canvas.height / 2);
+        ctx.lineTo(canvas.width, canvas.height / 2);
+        ctx.stroke();
+
+        ctx.strokeStyle = "#8257e5";
+        ctx.lineWidth = 2 * ratio;
+        ctx.fillStyle = "#a1a1aa";
+        ctx.font = `${11 * ratio}px Inter, sans-serif`;
+        ctx.beginPath();
+        let previous = null;
+        this.points.forEach((point) => {
+            if (point.cents === null) {
+                previous = null;
+                return;
+            }
+            const x = toX(point.time);
+            const y = toY(point.cents);
+            if (!previous || previous.note !== point.note) {
+                ctx.moveTo(x, y);
+                ctx.fillText(point.note, x + 2, 12 * ratio);
+            } else {
+                ctx.lineTo(x, y);
+            }
+            previous = point;
+        });
+        ctx.stroke();
+
+        const stability = this.getStability();
+        if (stability !== null) {
+            ctx.textAlign = "right";
+            ctx.fillText(`±${stability.toFixed(1)}¢`, canvas.width - 4 * ratio, canvas.height - 6 * ratio);
+            ctx.textAlign = "left";
+        }
+    }
+}
+
+// --- Metronome Implementation ---
+
+// Beats per bar and how they group; BPM counts the bottom note value
+// (quarters in x/4, eighths in x/8). Each group starts on a stronger click.
+const timeSignatures = [
+    { id: "2/4",  beats: 2,  groups: [1, 1] },
+    { id: "3/4",  beats: 3,  groups: [1, 1, 1] },
+    { id: "4/4",  beats: 4,  groups: [1, 1, 1, 1] },
+    { id: "5/4",  beats: 5,  groups: [1, 1, 1, 1, 1] },
+    { id: "6/8",  beats: 6,  groups: [3, 3] },
+    { id: "7/8",  beats: 7,  groups: [2, 2, 3] },
+    { id: "12/8", beats: 12, groups: [3, 3, 3, 3] },
+];
+
+// Clicks per beat; swing delays the off-beat to 2/3 of the beat (triplet feel)
+const subdivisions = [
+    { id: "none",       name: "No subdivision", pulses: 1 },
+    { id: "eighths",    name: "Eighths",        pulses: 2 },
+    { id: "triplets",   name: "Triplets",       pulses: 3 },
+    { id: "sixteenths", name: "Sixteenths",     pulses: 4 },
+    { id: "swing",      name: "Swing",          pulses: 2, swing: 2 / 3 },
+];
+
+// Click pitch and loudness per accent level, in the order a beat dot cycles through them
+const accentLevels = {
+    accent: { frequency: 1000, gain: 1 },
+    normal: { frequency: 800,  gain: 0.7 },
+    ghost:  { frequency: 800,  gain: 0.2 },
+    mute:   { frequency: 0,    gain: 0 },
+};
+const accentOrder = ["accent", "normal", "ghost", "mute"];
+
+// --- Click Voices ---
+// Each voice plays one metronome hit at an exact AudioContext time. A hit carries
+// the beat and pulse being played, its accent level, the loudness to play at, the
+// pitch the classic beep would use, and which group of the bar the beat starts
+// (-1 when it doesn't start one).
+
+let noiseBuffer = null;
+
+function getNoiseBuffer(ctx) {
+    if (!noiseBuffer || noiseBuffer.sampleRate !== ctx.sampleRate) {
+        noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
     }
+    return noiseBuffer;
+}
+
+// Decaying gain stage: attack in 1 ms, then fall to silence over `decay` seconds
+function createHitEnvelope(ctx, destination, time, gain, decay) {
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.exponentialRampToValueAtTime(Math.max(0.0001, gain), time + 0.001);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+    envelope.connect(destination);
+    return envelope;
+}
+
+function playTone(ctx, destination, time, { type = "sine", frequency, gain, decay }) {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    osc.connect(createHitEnvelope(ctx, destination, time, gain, decay));
+    osc.start(time);
+    osc.stop(time + decay + 0.01);
+}
+
+function playNoise(ctx, destination, time, { filter, frequency, q = 1, gain, decay }) {
+    const source = ctx.createBufferSource();
+    source.buffer = getNoiseBuffer(ctx);
+    const biquad = ctx.createBiquadFilter();
+    biquad.type = filter;
+    biquad.frequency.value = frequency;
+    biquad.Q.value = q;
+    source.connect(biquad);
+    biquad.connect(createHitEnvelope(ctx, destination, time, gain, decay));
+    source.start(time);
+    source.stop(time + decay + 0.01);
+}
 
-    // Standard Auto-correlation algorithm
-    autoCorrelate(buffer, sampleRate) {
-        let size = buffer.length;
-        let rms = 0;
+const countWords = ["one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve"];
 
-        for (let i = 0; i < size; i++) {
-            let val = buffer[i];
-            rms += val * val;
+const clickVoices = {
+    beep: {
+        name: "Beep",
+        play(ctx, destination, time, hit) {
+            playTone(ctx, destination, time, { frequency: hit.frequency, gain: hit.gain, decay: 0.05 });
         }
-        rms = Math.sqrt(rms / size);
+    },
 
-        // Noise gate
-        if (rms < 0.01) return -1;
+    woodblock: {
+        name: "Woodblock",
+        play(ctx, destination, time, hit) {
+            const pitch = hit.level === "accent" ? 1250 : (hit.isBeat ? 1000 : 1400);
+            playTone(ctx, destination, time, { frequency: pitch, gain: hit.gain, decay: 0.06 });
+            playNoise(ctx, destination, time, { filter: "bandpass", frequency: pitch * 2, q: 8, gain: hit.gain * 0.5, decay: 0.015 });
+        }
+    },
 
-        let r1 = 0, r2 = size - 1, thres = 0.2;
-        for (let i = 0; i < size / 2; i++) {
-            if (Math.abs(buffer[i]) < thres) { r1 = i; break; }
+    // Two detuned square waves through a band-pass, after the classic drum machine cowbell
+    cowbell: {
+        name: "Cowbell",
+        play(ctx, destination, time, hit) {
+            const decay = hit.level === "accent" ? 0.35 : 0.2;
+            const filter = ctx.createBiquadFilter();
+            filter.type = "bandpass";
+            filter.frequency.value = 2640;
+            filter.Q.value = 1;
+            filter.connect(destination);
+            [587, 845].forEach(frequency => playTone(ctx, filter, time, {
+                type: "square", frequency, gain: hit.gain * 0.4, decay
+            }));
         }
-        for (let i = 1; i < size / 2; i++) {
-            if (Math.abs(buffer[size - i]) < thres) { r2 = size - i; break; }
+    },
+
+    hihat: {
+        name: "Hi-hat",
+        play(ctx, destination, time, hit) {
+            const decay = hit.level === "accent" ? 0.12 : 0.04;
+            playNoise(ctx, destination, time, { filter: "highpass", frequency: 7000, gain: hit.gain, decay });
         }
+    },
 
-        buffer = buffer.slice(r1, r2);
-        size = buffer.length;
+    rimshot: {
+        name: "Rimshot",
+        play(ctx, destination, time, hit) {
+            playTone(ctx, destination, time, { type: "triangle", frequency: 1700, gain: hit.gain * 0.8, decay: 0.02 });
+            playNoise(ctx, destination, time, { filter: "bandpass", frequency: 2200, q: 2, gain: hit.gain, decay: 0.04 });
+        }
+    },
 
-        let c = new Array(size).fill(0);
-        for (let i = 0; i < size; i++) {
-            for (let j = 0; j < size - i; j++) {
-                c[i] = c[i] + buffer[j] * buffer[j + i];
+    // Spoken beat numbers through the browser's speech synthesis. Speech can't be
+    // scheduled on the audio clock, so it is started by timer at the beat (a little
+    // late on most systems); subdivisions fall back to a soft tick.
+    count: {
+        name: "Spoken count",
+        play(ctx, destination, time, hit) {
+            if (!hit.isBeat || !window.speechSynthesis) {
+                playTone(ctx, destination, time, { frequency: 1200, gain: hit.gain * 0.5, decay: 0.03 });
+                return;
             }
+            const utterance = new SpeechSynthesisUtterance(countWords[hit.beat] || String(hit.beat + 1));
+            utterance.rate = 1.6;
+            utterance.volume = Math.min(1, hit.gain);
+            setTimeout(() => {
+                speechSynthesis.cancel();
+                speechSynthesis.speak(utterance);
+            }, Math.max(0, (time - ctx.currentTime) * 1000));
         }
+    },
+
+    // Kick on strong beats, snare on the backbeats, hi-hat on every pulse
+    groove: {
+        name: "Drum machine",
+        play(ctx, destination, time, hit) {
+            clickVoices.hihat.play(ctx, destination, time, Object.assign({}, hit, { level: "normal", gain: hit.gain * 0.5 }));
+            if (!hit.isBeat) return;
 
-        let d = 0;
-        while (c[d] > c[d + 1]) d++;
-        let maxval = -1, maxpos = -1;
-        for (let i = d; i < size; i++) {
-            if (c[i] > maxval) {
-                maxval = c[i];
-                maxpos = i;
+            const strongBeat = hit.groupIndex >= 0 ? hit.groupIndex % 2 === 0 : hit.beat % 2 === 0;
+            const backbeat = hit.groupIndex >= 0 ? hit.groupIndex % 2 === 1 : hit.beat % 2 === 1;
+            if (strongBeat && (hit.groupIndex >= 0 || hit.level !== "ghost")) {
+                const osc = ctx.createOscillator();
+                osc.frequency.setValueAtTime(150, time);
+                osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+                osc.connect(createHitEnvelope(ctx, destination, time, hit.gain * 1.2, 0.3));
+                osc.start(time);
+                osc.stop(time + 0.31);
+            } else if (backbeat) {
+                playTone(ctx, destination, time, { type: "triangle", frequency: 190, gain: hit.gain * 0.6, decay: 0.1 });
+                playNoise(ctx, destination, time, { filter: "highpass", frequency: 1500, gain: hit.gain * 0.8, decay: 0.15 });
             }
         }
-        let T0 = maxpos;
+    }
+};
+
+// Wraps a decoded audio file as a click voice; accents play it slightly louder
+function createSampleVoice(name, buffer) {
+    return {
+        name,
+        custom: true,
+        play(ctx, destination, time, hit) {
+            const source = ctx.createBufferSource();
+            const gain = ctx.createGain();
+            source.buffer = buffer;
+            gain.gain.value = hit.gain;
+            source.connect(gain);
+            gain.connect(destination);
+            source.start(time);
+        }
+    };
+}
 
-        let x1 = c[T0 - 1], x2 = c[T0], x3 = c[T0 + 1];
-        let a = (x1 + x3 - 2 * x2) / 2;
-        let b = (x3 - x1) / 2;
-        if (a) T0 = T0 - b / (2 * a);
+class Metronome {
+    constructor() {
+        this.isPlaying = false;
+        this.bpm = 120;
+        this.lookahead = 25.0; // ms
+        this.scheduleAheadTime = 0.1; // s
+        this.nextNoteTime = 0.0;
+        this.timerID = null;
+        this.currentBeat = 0;
+        this.currentPulse = 0;
+        this.subdivision = subdivisions[0];
+        this.setTimeSignature("4/4");
+
+        // Click voice for all beats, an optional different voice for accented beats,
+        // and a volume (0..1) per voice
+        this.voice = "beep";
+        this.accentVoice = null;
+        this.voiceVolumes = {};
+
+        // Bars completed since start; tempo changes land on these boundaries
+        this.barCount = 0;
+
+        // Speed trainer: raise the tempo by `step` every `everyBars` bars until `targetBpm`
+        this.trainer = { enabled: false, startBpm: 80, step: 4, everyBars: 4, targetBpm: 140 };
 
-        return sampleRate / T0;
+        // Gap click: play `barsOn` bars, then silence `barsOff` bars, repeating
+        this.gap = { enabled: false, barsOn: 2, barsOff: 2 };
+
+        // Called with { beat, bar, time, bpm, pulseTimes } as each beat is scheduled,
+        // so other features can schedule audio on the same lookahead clock;
+        // pulseTimes holds the start of each subdivision pulse in the beat
+        this.beatListeners = [];
     }
 
-    processPitch(frequency) {
-        const note = this.getNote(frequency);
-        const cents = this.getCents(frequency, note.frequency);
-        ui.updateTunerDisplay(note.name, frequency, cents);
+    addBeatListener(callback) {
+        this.beatListeners.push(callback);
     }
 
-    getNote(frequency) {
-        const noteNum = 12 * (Math.log(frequency / 440) / Math.log(2));
-        const midiNum = Math.round(noteNum) + 69;
-        const frequencyStandard = 440 * Math.pow(2, (midiNum - 69) / 12);
+    removeBeatListener(callback) {
+        this.beatListeners = this.beatListeners.filter(listener => listener !== callback);
+    }
+
+    get beatsInBar() {
+        return this.timeSignature.beats;
+    }
+
+    start() {
+        if (this.isPlaying) return;
         
-        return {
-            name: this.noteStrings[midiNum % 12],
-            frequency: frequencyStandard,
-            midi: midiNum
-        };
+        const ctx = getAudioContext();
+        ctx.resume();
+        
+        this.isPlaying = true;
+        this.currentBeat = 0;
+        this.currentPulse = 0;
+        this.barCount = 0;
+        if (this.trainer.enabled) this.bpm = this.trainer.startBpm;
+        this.nextNoteTime = ctx.currentTime;
+        this.scheduleVisual(this.nextNoteTime, () => ui.updateMetronomeProgress(this.getProgress()));
+        this.scheduler();
     }
 
-    getCents(frequency, targetFrequency) {
-        return 1200 * Math.log2(frequency / targetFrequency);
-    }
-}
+    stop() {
+        this.isPlaying = false;
+        if (this.timerID) clearTimeout(this.timerID);
+        ui.setMetronomeActive(false);
+    }
+
+    scheduler() {
+        if (!this.isPlaying) return;
+
+        const ctx = getAudioContext();
+        // While there are notes that will need to play before the next interval,
+        // schedule them and advance the pointer.
+        while (this.nextNoteTime < ctx.currentTime + this.scheduleAheadTime) {
+            this.scheduleNote(this.currentBeat, this.currentPulse, this.nextNoteTime);
+            this.nextNote();
+        }
+        
+        this.timerID = setTimeout(() => this.scheduler(), this.lookahead);
+    }
+
+    // Length in seconds of one subdivision pulse within the beat
+    getPulseDuration(pulse) {
+        const secondsPerBeat = 60.0 / this.bpm;
+        const { pulses, swing } = this.subdivision;
+        if (swing) return secondsPerBeat * (pulse === 0 ? swing : 1 - swing);
+        return secondsPerBeat / pulses;
+    }
+
+    nextNote() {
+        this.nextNoteTime += this.getPulseDuration(this.currentPulse);
+        this.currentPulse++;
+        if (this.currentPulse >= this.subdivision.pulses) {
+            this.currentPulse = 0;
+            this.currentBeat = (this.currentBeat + 1) % this.beatsInBar;
+            if (this.currentBeat === 0) this.nextBar();
+        }
+    }
+
+    // Runs at each bar boundary, before the new bar's first note is scheduled
+    nextBar() {
+        this.barCount++;
+
+        const { enabled, step, everyBars, targetBpm } = this.trainer;
+        if (enabled && this.barCount % everyBars === 0 && this.bpm !== targetBpm) {
+            const next = this.bpm + (targetBpm > this.bpm ? Math.abs(step) : -Math.abs(step));
+            this.bpm = targetBpm > this.bpm ? Math.min(targetBpm, next) : Math.max(targetBpm, next);
+        }
+
+        const progress = this.getProgress();
+        this.scheduleVisual(this.nextNoteTime, () => ui.updateMetronomeProgress(progress));
+    }
+
+    isBarMuted(bar = this.barCount) {
+        if (!this.gap.enabled) return false;
+        return bar % (this.gap.barsOn + this.gap.barsOff) >= this.gap.barsOn;
+    }
+
+    getProgress() {
+        return {
+            bar: this.barCount + 1,
+            bpm: this.bpm,
+            targetBpm: this.trainer.enabled ? this.trainer.targetBpm : null,
+            muted: this.isBarMuted()
+        };
+    }
+
+    scheduleNote(beatNumber, pulse, time) {
+        const levelName = this.accents[beatNumber];
+        const level = accentLevels[levelName];
+        if (level.gain > 0 && !this.isBarMuted()) {
+            // Subdivision clicks are higher and quieter than the beat they split
+            const isBeat = pulse === 0;
+            const voiceId = (isBeat && levelName === "accent" && this.accentVoice) ? this.accentVoice : this.voice;
+            const ctx = getAudioContext();
+            this.getVoice(voiceId).play(ctx, this.getOutput(), time, {
+                beat: beatNumber,
+                pulse,
+                isBeat,
+                level: levelName,
+                gain: (isBeat ? level.gain : Math.max(0.1, level.gain * 0.4)) * this.getVoiceVolume(voiceId),
+                frequency: isBeat ? level.frequency : 1200,
+                groupIndex: isBeat ? this.getGroupStarts().indexOf(beatNumber) : -1
+            });
+        }
+
+        if (pulse !== 0) return;
+        const pulseTimes = [time];
+        for (let p = 1; p < this.subdivision.pulses; p++) {
+            pulseTimes.push(pulseTimes[p - 1] + this.getPulseDuration(p - 1));
+        }
+        const event = { beat: beatNumber, bar: this.barCount, time, bpm: this.bpm, pulseTimes };
+        this.beatListeners.slice().forEach(listener => listener(event));
+        this.scheduleVisual(time, () => ui.highlightBeat(beatNumber));
+    }
+
+    // Runs callback when the audio clock reaches time (right away if it already has)
+    scheduleVisual(time, callback) {
+        const ctx = getAudioContext();
+        const drawTime = (time - ctx.currentTime) * 1000;
+        setTimeout(callback, Math.max(0, drawTime));
+    }
+
+    // Every click goes out through one bus, so timing analysis can tell them from the playing it hears
+    getOutput() {
+        const ctx = getAudioContext();
+        if (!this.output) {
+            this.output = ctx.createGain();
+            this.output.connect(ctx.destination);
+        }
+        return this.output;
+    }
+
+    getVoice(id) {
+        return clickVoices[id] || clickVoices.beep;
+    }
+
+    getVoiceVolume(id) {
+        return this.voiceVolumes[id] !== undefined ? this.voiceVolumes[id] : 1;
+    }
+
+    setVoice(id) {
+        if (clickVoices[id]) this.voice = id;
+    }
+
+    // null plays accented beats with the main voice
+    setAccentVoice(id) {
+        this.accentVoice = clickVoices[id] ? id : null;
+    }
+
+    setVoiceVolume(id, volume) {
+        this.voiceVolumes[id] = Math.max(0, Math.min(1, volume));
+    }
+
+    async loadSample(file) {
+        const ctx = getAudioContext();
+        const buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+        const id = `sample-${Object.keys(clickVoices).length}`;
+        clickVoices[id] = createSampleVoice(file.name.replace(/\.[^.]+$/, ""), buffer);
+        return id;
+    }
+
+    setBpm(bpm) {
+        this.bpm = bpm;
+    }
+
+    setTimeSignature(id) {
+        this.timeSignature = timeSignatures.find(sig => sig.id === id) || timeSignatures[2];
+        this.accents = this.getDefaultAccents();
+        if (this.currentBeat >= this.beatsInBar) this.currentBeat = 0;
+    }
+
+    setSubdivision(id) {
+        this.subdivision = subdivisions.find(sub => sub.id === id) || subdivisions[0];
+        this.currentPulse = 0;
+    }
+
+    // Downbeat accented; in grouped meters the other group starts stay normal
+    // and the beats inside each group are ghosted
+    getDefaultAccents() {
+        const accents = [];
+        const grouped = this.timeSignature.groups.some(size => size > 1);
+        this.timeSignature.groups.forEach((size) => {
+            for (let i = 0; i < size; i++) {
+                accents.push(i === 0 || !grouped ? "normal" : "ghost");
+            }
+        });
+        accents[0] = "accent";
+        return accents;
+    }
+
+    // Index of each beat that starts a group, for spacing the beat dots
+    getGroupStarts() {
+        const starts = [];
+        let beat = 0;
+        this.timeSignature.groups.forEach((size) => {
+            starts.push(beat);
+            beat += size;
+        });
+        return starts;
+    }
+
+    setTrainer(options) {
+        Object.assign(this.trainer, options);
+    }
+
+    setGap(options) {
+        Object.assign(this.gap, options);
+    }
+
+    cycleAccent(beatNumber) {
+        const next = (accentOrder.indexOf(this.accents[beatNumber]) + 1) % accentOrder.length;
+        this.accents[beatNumber] = accentOrder[next];
+        return this.accents[beatNumber];
+    }
+}
+
+// --- Tap Tempo ---
+// Averages the intervals between recent taps, ignoring taps that are far off the
+// median (a missed or doubled tap) so one stray tap doesn't throw off the tempo.
+class TapTempo {
+    constructor() {
+        this.taps = [];
+        this.maxTaps = 8;
+        this.resetAfter = 2000; // ms without a tap starts a new count
+        this.tolerance = 0.25;  // Intervals further than 25% from the median are outliers
+    }
+
+    // Records a tap and returns the tempo in BPM, or null until there are two taps
+    tap(time = performance.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && time - last > this.resetAfter) this.taps = [];
+
+        this.taps.push(time);
+        if (this.taps.length > this.maxTaps) this.taps.shift();
+        if (this.taps.length < 2) return null;
+
+        const intervals = this.taps.slice(1).map((tap, i) => tap - this.taps[i]);
+        const sorted = intervals.slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const kept = intervals.filter(interval => Math.abs(interval - median) <= median * this.tolerance);
+        const average = kept.reduce((sum, interval) => sum + interval, 0) / kept.length;
+
+        return 60000 / average;
+    }
+}
+
+// --- Tempo Detection ---
+// Estimates the tempo of music heard through the microphone: a spectral-flux onset
+// envelope is resampled onto a fixed grid and the strongest periodicity in a
+// tempo-weighted autocorrelation gives the beat period.
+class TempoDetector {
+    constructor(onTempo) {
+        this.onTempo = onTempo;
+        this.isListening = false;
+        this.source = null;
+        this.analyser = null;
+        this.spectrum = null;
+        this.previousSpectrum = null;
+        this.pollID = null;
+        this.reportID = null;
+        this.frames = []; // { time, flux }
+        this.frameRate = 100; // Envelope samples per second after resampling
+        this.windowSeconds = 12;
+        this.minSeconds = 4;
+        this.minBpm = 60;
+        this.maxBpm = 200;
+    }
+
+    async start() {
+        const ctx = getAudioContext();
+        await ctx.resume();
+
+        this.source = await microphone.acquire();
+        this.analyser = ctx.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.analyser.smoothingTimeConstant = 0;
+        this.source.connect(this.analyser);
+
+        this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+        this.previousSpectrum = new Float32Array(this.analyser.frequencyBinCount);
+        this.frames = [];
+        this.isListening = true;
+
+        this.pollID = setInterval(() => this.poll(), 1000 / this.frameRate);
+        this.reportID = setInterval(() => this.report(), 1000);
+    }
+
+    stop() {
+        this.isListening = false;
+        clearInterval(this.pollID);
+        clearInterval(this.reportID);
+        if (this.source) {
+            this.source.disconnect(this.analyser);
+            this.source = null;
+            microphone.release();
+        }
+    }
+
+    // Half-wave rectified rise in log magnitude across the low and mid spectrum
+    poll() {
+        const ctx = getAudioContext();
+        this.analyser.getFloatFrequencyData(this.spectrum);
+
+        const maxBin = Math.min(this.spectrum.length, Math.round(5000 / (ctx.sampleRate / this.analyser.fftSize)));
+        let flux = 0;
+        for (let i = 1; i < maxBin; i++) {
+            const level = Math.max(this.spectrum[i], -100);
+            const rise = level - this.previousSpectrum[i];
+            if (rise > 0) flux += rise;
+            this.previousSpectrum[i] = level;
+        }
+
+        const time = ctx.currentTime;
+        const last = this.frames[this.frames.length - 1];
+        if (!last || time > last.time) this.frames.push({ time, flux });
+
+        while (this.frames.length && this.frames[0].time < time - this.windowSeconds) this.frames.shift();
+    }
+
+    report() {
+        const result = this.estimate();
+        if (result) this.onTempo(result.bpm, result.confidence);
+    }
+
+    estimate() {
+        if (this.frames.length < 2) return null;
+        const start = this.frames[0].time;
+        const duration = this.frames[this.frames.length - 1].time - start;
+        if (duration < this.minSeconds) return null;
+
+        // Resample onto an even grid (timer polling is not evenly spaced)
+        const length = Math.floor(duration * this.frameRate);
+        const envelope = new Float32Array(length);
+        let frame = 0;
+        for (let n = 0; n < length; n++) {
+            const time = start + n / this.frameRate;
+            while (frame < this.frames.length - 1 && this.frames[frame + 1].time <= time) frame++;
+            envelope[n] = this.frames[frame].flux;
+        }
+
+        const mean = envelope.reduce((sum, value) => sum + value, 0) / length;
+        for (let n = 0; n < length; n++) envelope[n] -= mean;
+
+        let energy = 0;
+        for (let n = 0; n < length; n++) energy += envelope[n] * envelope[n];
+        if (energy === 0) return null;
+
+        const minLag = Math.floor(60 * this.frameRate / this.maxBpm);
+        const maxLag = Math.min(length - 1, Math.ceil(60 * this.frameRate / this.minBpm));
+        const scores = new Float32Array(maxLag + 2);
+        let bestLag = -1;
+
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let n = 0; n + lag < length; n++) sum += envelope[n] * envelope[n + lag];
+
+            // Favour tempos near 120 BPM to settle half/double-time ambiguity
+            const bpm = 60 * this.frameRate / lag;
+            const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.9, 2));
+            scores[lag] = (sum / energy) * weight;
+            if (bestLag === -1 || scores[lag] > scores[bestLag]) bestLag = lag;
+        }
+        if (bestLag === -1 || scores[bestLag] <= 0) return null;
+
+        let lag = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const x1 = scores[bestLag - 1], x2 = scores[bestLag], x3 = scores[bestLag + 1];
+            const a = (x1 + x3 - 2 * x2) / 2;
+            const b = (x3 - x1) / 2;
+            if (a) lag = bestLag - b / (2 * a);
+        }
+
+        return { bpm: 60 * this.frameRate / lag, confidence: scores[bestLag] };
+    }
+}
+
+// --- Chord Library Data ---
+const chordData = [
+    { name: "C",     frets: [-1, 3, 2, 0, 1, 0], fingers: [0, 3, 2, 0, 1, 0], startFret: 0 },
+    { name: "D",     frets: [-1, -1, 0, 2, 3, 2], fingers: [0, 0, 0, 1, 3, 2], startFret: 0 },
+    { name: "E",     frets: [0, 2, 2, 1, 0, 0],   fingers: [0, 2, 3, 1, 0, 0], startFret: 0 },
+    { name: "G",     frets: [3, 2, 0, 0, 0, 3],   fingers: [2, 1, 0, 0, 0, 3], startFret: 0 },
+    { name: "A",     frets: [-1, 0, 2, 2, 2, 0],  fingers: [0, 0, 1, 2, 3, 0], startFret: 0 },
+    { name: "Am",    frets: [-1, 0, 2, 2, 1, 0],  fingers: [0, 0, 2, 3, 1, 0], startFret: 0 },
+    { name: "Dm",    frets: [-1, -1, 0, 2, 3, 1], fingers: [0, 0, 0, 2, 3, 1], startFret: 0 },
+    { name: "Em",    frets: [0, 2, 2, 0, 0, 0],   fingers: [0, 2, 3, 0, 0, 0], startFret: 0 },
+    { name: "A7",    frets: [-1, 0, 2, 0, 2, 0],  fingers: [0, 0, 2, 0, 3, 0], startFret: 0 },
+    { name: "B7",    frets: [-1, 2, 1, 2, 0, 2],  fingers: [0, 2, 1, 3, 0, 4], startFret: 0 },
+    { name: "C7",    frets: [-1, 3, 2, 3, 1, 0],  fingers: [0, 3, 2, 4, 1, 0], startFret: 0 },
+    { name: "D7",    frets: [-1, -1, 0, 2, 1, 2], fingers: [0, 0, 0, 2, 1, 3], startFret: 0 },
+    { name: "E7",    frets: [0, 2, 0, 1, 0, 0],   fingers: [0, 2, 0, 1, 0, 0], startFret: 0 },
+    { name: "G7",    frets: [3, 2, 0, 0, 0, 1],   fingers: [3, 2, 0, 0, 0, 1], startFret: 0 },
+    { name: "Fmaj7", frets: [-1, -1, 3, 2, 1, 0], fingers: [0, 0, 3, 2, 1, 0], startFret: 0 },
+    { name: "Cadd9", frets: [-1, 3, 2, 0, 3, 0],  fingers: [0, 2, 1, 0, 3, 0], startFret: 0 },
+
+    // Barre chords, E shape (root on the 6th string)
+    { name: "F",     frets: [1, 3, 3, 2, 1, 1],   fingers: [1, 3, 4, 2, 1, 1], startFret: 0 },
+    { name: "Fm",    frets: [1, 3, 3, 1, 1, 1],   fingers: [1, 3, 4, 1, 1, 1], startFret: 0 },
+    { name: "F7",    frets: [1, 3, 1, 2, 1, 1],   fingers: [1, 3, 1, 2, 1, 1], startFret: 0 },
+    { name: "F#",    frets: [2, 4, 4, 3, 2, 2],   fingers: [1, 3, 4, 2, 1, 1], startFret: 2 },
+    { name: "F#m",   frets: [2, 4, 4, 2, 2, 2],   fingers: [1, 3, 4, 1, 1, 1], startFret: 2 },
+    { name: "Gm",    frets: [3, 5, 5, 3, 3, 3],   fingers: [1, 3, 4, 1, 1, 1], startFret: 3 },
+    { name: "Ab",    frets: [4, 6, 6, 5, 4, 4],   fingers: [1, 3, 4, 2, 1, 1], startFret: 4 },
+    { name: "G#m",   frets: [4, 6, 6, 4, 4, 4],   fingers: [1, 3, 4, 1, 1, 1], startFret: 4 },
+
+    // Barre chords, A shape (root on the 5th string)
+    { name: "Bb",    frets: [-1, 1, 3, 3, 3, 1],  fingers: [0, 1, 2, 3, 4, 1], startFret: 0 },
+    { name: "Bbm",   frets: [-1, 1, 3, 3, 2, 1],  fingers: [0, 1, 3, 4, 2, 1], startFret: 0 },
+    { name: "B",     frets: [-1, 2, 4, 4, 4, 2],  fingers: [0, 1, 2, 3, 4, 1], startFret: 2 },
+    { name: "Bm",    frets: [-1, 2, 4, 4, 3, 2],  fingers: [0, 1, 3, 4, 2, 1], startFret: 2 },
+    { name: "Bm7",   frets: [-1, 2, 4, 2, 3, 2],  fingers: [0, 1, 3, 1, 2, 1], startFret: 2 },
+    { name: "Cm",    frets: [-1, 3, 5, 5, 4, 3],  fingers: [0, 1, 3, 4, 2, 1], startFret: 3 },
+    { name: "C#",    frets: [-1, 4, 6, 6, 6, 4],  fingers: [0, 1, 2, 3, 4, 1], startFret: 4 },
+    { name: "C#m",   frets: [-1, 4, 6, 6, 5, 4],  fingers: [0, 1, 3, 4, 2, 1], startFret: 4 },
+    { name: "Eb",    frets: [-1, 6, 8, 8, 8, 6],  fingers: [0, 1, 2, 3, 4, 1], startFret: 6 },
+];
+
+// Open string MIDI notes the chord shapes are written for: E2, A2, D3, G3, B3, E4
+const openStringMidi = [40, 45, 50, 55, 59, 64];
+
+// Open string frequencies at the current reference pitch
+function getOpenStringFreqs() {
+    return openStringMidi.map(midiToFrequency);
+}
+
+// --- Chord Engine ---
+// Builds voicings from chord formulas for any tuning. Intervals are semitones above
+// the root; `optional` tones (usually the 5th) may be left out of a voicing.
+const chordRoots = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
+
+const chordQualities = [
+    { id: "maj",  symbol: "",     name: "Major",               intervals: [0, 4, 7],            optional: [7] },
+    { id: "m",    symbol: "m",    name: "Minor",               intervals: [0, 3, 7],            optional: [7] },
+    { id: "7",    symbol: "7",    name: "Dominant 7th",        intervals: [0, 4, 7, 10],        optional: [7] },
+    { id: "maj7", symbol: "maj7", name: "Major 7th",           intervals: [0, 4, 7, 11],        optional: [7] },
+    { id: "m7",   symbol: "m7",   name: "Minor 7th",           intervals: [0, 3, 7, 10],        optional: [7] },
+    { id: "sus2", symbol: "sus2", name: "Suspended 2nd",       intervals: [0, 2, 7],            optional: [] },
+    { id: "sus4", symbol: "sus4", name: "Suspended 4th",       intervals: [0, 5, 7],            optional: [] },
+    { id: "dim",  symbol: "dim",  name: "Diminished",          intervals: [0, 3, 6],            optional: [] },
+    { id: "aug",  symbol: "aug",  name: "Augmented",           intervals: [0, 4, 8],            optional: [] },
+    { id: "add9", symbol: "add9", name: "Added 9th",           intervals: [0, 4, 7, 2],         optional: [7] },
+    { id: "9",    symbol: "9",    name: "Dominant 9th",        intervals: [0, 4, 7, 10, 2],     optional: [7] },
+    { id: "13",   symbol: "13",   name: "Dominant 13th",       intervals: [0, 4, 7, 10, 2, 9],  optional: [7, 2] },
+    { id: "m7b5", symbol: "m7b5", name: "Half-diminished",     intervals: [0, 3, 6, 10],        optional: [] },
+];
+
+// Other common spellings of the quality symbols above
+const chordSymbolAliases = {
+    "M": "", "maj": "", "min": "m", "mi": "m", "dom7": "7", "M7": "maj7", "Δ": "maj7",
+    "Δ7": "maj7", "min7": "m7", "mi7": "m7", "sus": "sus4", "°": "dim", "+": "aug",
+    "ø": "m7b5", "ø7": "m7b5", "m7♭5": "m7b5", "2": "add9", "add2": "add9"
+};
+
+const ChordEngine = {
+    maxFret: 15,      // Highest fret a voicing may reach
+    maxSpan: 3,       // Frets between the lowest and highest fretted note
+    minStrings: 4,    // Fewest strings a voicing must sound
+    maxVoicings: 16,
+
+    getQuality(id) {
+        return chordQualities.find(quality => quality.id === id);
+    },
+
+    getName(root, qualityId, bass = null) {
+        const quality = this.getQuality(qualityId);
+        const name = chordRoots[root] + quality.symbol;
+        return (bass === null || bass === root) ? name : `${name}/${chordRoots[bass]}`;
+    },
+
+    /**
+     * Parses a chord symbol such as "Bbm7", "F#", "C/E" or "A♭maj7" into pitch
+     * classes and a quality id. Returns { root, quality, bass } or null.
+     */
+    parseName(text) {
+        const match = /^([A-Ga-g])([#♯b♭]?)([^/]*)(?:\/([A-Ga-g])([#♯b♭]?))?$/.exec(text.trim());
+        if (!match) return null;
+
+        const pitchClass = (letter, accidental) => {
+            let pc = noteStrings.indexOf(letter.toUpperCase());
+            if (accidental === "#" || accidental === "♯") pc += 1;
+            if (accidental === "b" || accidental === "♭") pc -= 1;
+            return (pc + 12) % 12;
+        };
+
+        const symbol = chordSymbolAliases[match[3]] !== undefined ? chordSymbolAliases[match[3]] : match[3];
+        const quality = chordQualities.find(q => q.symbol === symbol);
+        if (!quality) return null;
+
+        const root = pitchClass(match[1], match[2]);
+        const bass = match[4] ? pitchClass(match[4], match[5]) : null;
+        return { root, quality: quality.id, bass: bass === root ? null : bass };
+    },
+
+    /**
+     * Moves a chord symbol by semitones, keeping whatever follows the root as
+     * written ("F#m7(11)" up 1 is "Gm7(11)"). Symbols without a recognizable
+     * root, like "N.C.", are returned unchanged.
+     */
+    transposeName(text, semitones) {
+        const match = /^([A-G])([#♯b♭]?)([^/]*)(?:\/([A-G])([#♯b♭]?))?$/.exec(text.trim());
+        if (!match || semitones % 12 === 0) return text;
+
+        const move = (letter, accidental) => {
+            let pc = noteStrings.indexOf(letter);
+            if (accidental === "#" || accidental === "♯") pc += 1;
+            if (accidental === "b" || accidental === "♭") pc -= 1;
+            return chordRoots[((pc + semitones) % 12 + 24) % 12];
+        };
+
+        const root = move(match[1], match[2]);
+        return match[4] ? `${root}${match[3]}/${move(match[4], match[5])}` : `${root}${match[3]}`;
+    },
+
+    /**
+     * Finds a playable shape for a chord symbol: the library shape when there is
+     * one for the current tuning, otherwise the lowest generated voicing.
+     * Returns a chord object named as written, or null if the name isn't understood.
+     */
+    findChord(text) {
+        const parsed = this.parseName(text);
+        if (!parsed) return null;
+
+        const isStandard = tuningManager.current.midi.every((midi, i) => midi === openStringMidi[i]);
+        const known = isStandard && chordData.find((chord) => {
+            const other = this.parseName(chord.name);
+            return other && other.root === parsed.root && other.quality === parsed.quality && other.bass === parsed.bass;
+        });
+        if (known) return Object.assign({}, known, { name: text.trim() });
+
+        const voicings = this.generateVoicings(parsed.root, parsed.quality, parsed.bass);
+        return voicings.length ? Object.assign({}, voicings[0], { name: text.trim() }) : null;
+    },
+
+    /**
+     * Generates playable voicings for a chord, best first within each neck position
+     * and ordered up the neck. root and bass are pitch classes (0 = C); bass is null
+     * unless it's a slash chord. tuning is the open strings as MIDI notes, low to high.
+     */
+    generateVoicings(root, qualityId, bass = null, tuning = tuningManager.current.midi) {
+        const quality = this.getQuality(qualityId);
+        const bassClass = bass === null ? root : bass;
+        const chordTones = quality.intervals.map(interval => (root + interval) % 12);
+        const required = quality.intervals
+            .filter(interval => !quality.optional.includes(interval))
+            .map(interval => (root + interval) % 12);
+        const allowed = new Set(chordTones.concat([bassClass]));
+        const name = this.getName(root, qualityId, bass);
+
+        const found = new Map();
+        for (let low = 1; low <= this.maxFret - this.maxSpan; low++) {
+            // Candidate frets per string within this hand position
+            const options = tuning.map((open) => {
+                const choices = [-1];
+                if (allowed.has(open % 12)) choices.push(0);
+                for (let fret = low; fret <= low + this.maxSpan; fret++) {
+                    if (allowed.has((open + fret) % 12)) choices.push(fret);
+                }
+                return choices;
+            });
+
+            this.combine(options, (frets) => {
+                const key = frets.join(",");
+                if (found.has(key)) return;
+                const voicing = this.evaluate(frets, tuning, { bassClass, required, chordTones, root });
+                if (voicing) found.set(key, voicing);
+            });
+        }
+
+        const best = Array.from(found.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxVoicings)
+            .sort((a, b) => a.position - b.position || b.score - a.score);
+
+        return best.map(voicing => Object.assign(voicing, { name, tuning: tuning.slice() }));
+    },
+
+    // Calls back with every combination of one choice per string
+    combine(options, callback, index = 0, current = []) {
+        if (index === options.length) {
+            callback(current.slice());
+            return;
+        }
+        for (const choice of options[index]) {
+            current.push(choice);
+            this.combine(options, callback, index + 1, current);
+            current.pop();
+        }
+    },
+
+    // Checks a fret array against the chord and the hand; returns a scored voicing or null
+    evaluate(frets, tuning, { bassClass, required, chordTones, root }) {
+        const played = frets.map((fret, i) => fret >= 0 ? i : -1).filter(i => i >= 0);
+        if (played.length < this.minStrings) return null;
+
+        // Sounding strings must be adjacent, apart from at most one muted string between them
+        const interiorMutes = (played[played.length - 1] - played[0] + 1) - played.length;
+        if (interiorMutes > 1) return null;
+
+        const pitches = played.map(i => tuning[i] + frets[i]);
+        const lowest = Math.min(...pitches);
+        if (lowest % 12 !== bassClass) return null;
+
+        const classes = new Set(pitches.map(pitch => pitch % 12));
+        if (!required.every(pc => classes.has(pc))) return null;
+
+        const fretted = frets.filter(fret => fret > 0);
+        const minFret = fretted.length ? Math.min(...fretted) : 0;
+        const maxFret = fretted.length ? Math.max(...fretted) : 0;
+        if (maxFret - minFret > this.maxSpan) return null;
+
+        const fingering = this.assignFingers(frets);
+        if (!fingering) return null;
+
+        const missing = chordTones.filter(pc => !classes.has(pc)).length;
+        const openStrings = frets.filter(fret => fret === 0).length;
+        const score = played.length * 2
+            - interiorMutes * 3
+            - missing * 2
+            - (maxFret - minFret)
+            - minFret * 0.25
+            + (minFret <= 3 ? openStrings * 0.5 : -openStrings)
+            + (pitches.filter(pitch => pitch % 12 === root).length > 1 ? 1 : 0);
+
+        return {
+            frets: frets.slice(),
+            fingers: fingering.fingers,
+            barre: fingering.barre,
+            startFret: maxFret > 4 ? minFret : 0,
+            position: minFret,
+            score
+        };
+    },
+
+    /**
+     * Names the chord a set of pitch classes forms, best guess first. bass is the
+     * lowest note's pitch class; when it isn't the root the result is an inversion
+     * (a chord tone in the bass) or a slash chord (a foreign bass note).
+     * Returns [{ name, root, quality, bass, inversion }].
+     */
+    identify(pitchClasses, bass) {
+        const notes = new Set(pitchClasses);
+        const results = [];
+
+        notes.forEach((root) => {
+            chordQualities.forEach((quality, complexity) => {
+                const tones = quality.intervals.map(interval => (root + interval) % 12);
+                const required = quality.intervals
+                    .filter(interval => !quality.optional.includes(interval))
+                    .map(interval => (root + interval) % 12);
+
+                const slash = !tones.includes(bass);
+                const upper = Array.from(notes).filter(pc => !(slash && pc === bass));
+                if (upper.some(pc => !tones.includes(pc))) return;
+                if (required.some(pc => !notes.has(pc))) return;
+
+                const missing = tones.filter(pc => !notes.has(pc)).length;
+                const score = tones.length * 0.5 - missing - complexity * 0.05
+                    - (bass !== root ? 1 : 0) - (slash ? 1 : 0);
+
+                results.push({
+                    name: this.getName(root, quality.id, bass === root ? null : bass),
+                    root,
+                    quality: quality.id,
+                    bass,
+                    inversion: this.describeInversion((bass - root + 12) % 12, slash),
+                    score
+                });
+            });
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    },
+
+    describeInversion(bassInterval, slash) {
+        if (slash) return "slash chord";
+        if (bassInterval === 0) return "root position";
+        if (bassInterval === 3 || bassInterval === 4) return "1st inversion";
+        if (bassInterval >= 6 && bassInterval <= 8) return "2nd inversion";
+        if (bassInterval === 10 || bassInterval === 11) return "3rd inversion";
+        return "inversion";
+    },
+
+    // identify() for a fret array in the given tuning
+    identifyFrets(frets, tuning = tuningManager.current.midi) {
+        const pitches = frets.map((fret, i) => fret >= 0 ? tuning[i] + fret : null).filter(p => p !== null);
+        if (pitches.length < 2) return [];
+        return this.identify(pitches.map(pitch => pitch % 12), Math.min(...pitches) % 12);
+    },
+
+    /**
+     * Ranks chord names against a 12-bin chromagram by cosine similarity with each
+     * chord's tone template. bassChroma (optional) picks an inversion or slash bass.
+     * Returns the best few as [{ name, score }].
+     */
+    matchChroma(chroma, bassChroma = null, count = 3) {
+        const norm = Math.sqrt(chroma.reduce((sum, value) => sum + value * value, 0));
+        if (norm === 0) return [];
+
+        let bass = null;
+        if (bassChroma) {
+            const peak = Math.max(...bassChroma);
+            if (peak > 0) bass = Array.from(bassChroma).indexOf(peak);
+        }
+
+        const matches = [];
+        for (let root = 0; root < 12; root++) {
+            chordQualities.forEach((quality) => {
+                const tones = quality.intervals.map(interval => (root + interval) % 12);
+                const dot = tones.reduce((sum, pc) => sum + chroma[pc], 0);
+                const score = dot / (norm * Math.sqrt(tones.length));
+                const slashBass = (bass !== null && bass !== root && tones.includes(bass)) ? bass : null;
+                matches.push({ name: this.getName(root, quality.id, slashBass), score });
+            });
+        }
+
+        return matches.sort((a, b) => b.score - a.score).slice(0, count);
+    },
+
+    /**
+     * Assigns fingers 1-4 to fretted notes, lowest fret first. When the lowest fret
+     * appears on several strings with nothing lower or open between them, the index
+     * finger barres it. Returns { fingers, barre } or null if the shape needs more
+     * than four fingers.
+     */
+    assignFingers(frets) {
+        const fingers = frets.map(() => 0);
+        const fretted = frets.map((fret, i) => ({ fret, string: i })).filter(note => note.fret > 0);
+        if (!fretted.length) return { fingers, barre: null };
+
+        const minFret = Math.min(...fretted.map(note => note.fret));
+        const atMin = fretted.filter(note => note.fret === minFret);
+        let barre = null;
+        let remaining = fretted;
+
+        // Barre when it's needed (five or more fretted notes) or natural (three strings
+        // at that fret, or the top two together), and every string it covers is
+        // fretted at or above it
+        const topPair = atMin.length === 2
+            && atMin[1].string === atMin[0].string + 1
+            && atMin[1].string === fretted[fretted.length - 1].string;
+        if (atMin.length >= 3 || (atMin.length === 2 && (fretted.length > 4 || topPair))) {
+            const from = atMin[0].string;
+            const to = atMin[atMin.length - 1].string;
+            if (frets.slice(from, to + 1).every(fret => fret >= minFret)) {
+                barre = { fret: minFret, from, to };
+            }
+        }
+
+        let nextFinger = 1;
+        if (barre) {
+            atMin.forEach(note => { fingers[note.string] = 1; });
+            remaining = fretted.filter(note => note.fret > minFret);
+            nextFinger = 2;
+        }
+
+        remaining.sort((a, b) => a.fret - b.fret || a.string - b.string);
+        if (remaining.length > 5 - nextFinger) return null;
+        remaining.forEach((note) => {
+            // Keep fingers in fret order: a note two frets up skips a finger when one is free
+            const ideal = note.fret - minFret + 1;
+            const spare = 4 - (remaining.length - remaining.indexOf(note) - 1);
+            nextFinger = Math.max(nextFinger, Math.min(ideal, spare));
+            fingers[note.string] = nextFinger;
+            nextFinger++;
+        });
+
+        return { fingers, barre };
+    }
+};
+
+// --- Chord Collections ---
+/**
+ * User-made chord collections (e.g. "Week 3: 7th chords") alongside the
+ * built-in chordData. Chords use the chordData shape plus tags:
+ * { name, frets, fingers, startFret, tags }. Collections can be shared as
+ * JSON files or as a link with the collection encoded in the URL hash.
+ */
+class ChordLibrary {
+    constructor() {
+        this.storageKey = "guitarApp.chordLibrary";
+        this.maxFret = 22;
+        this.collections = [];   // [{ id, name, chords }]
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && Array.isArray(saved.collections)) this.collections = saved.collections;
+        } catch (err) {
+            console.warn("Could not load chord collections:", err);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ collections: this.collections }));
+        } catch (err) {
+            console.warn("Could not save chord collections:", err);
+        }
+    }
+
+    get builtIn() {
+        return { id: "builtin", name: "Built-in", chords: chordData, builtIn: true };
+    }
+
+    get all() {
+        return [this.builtIn].concat(this.collections);
+    }
+
+    find(id) {
+        return this.all.find(collection => collection.id === id);
+    }
+
+    // Quality id of a chord from its name, or null for names the engine can't read
+    qualityOf(chord) {
+        const parsed = ChordEngine.parseName(chord.name);
+        return parsed ? parsed.quality : null;
+    }
+
+    /**
+     * Chords matching a filter, as [{ chord, collection }]. collectionId "all"
+     * spans every collection; query matches the name or a tag.
+     */
+    filter({ collectionId = "all", quality = "", query = "" } = {}) {
+        const text = query.trim().toLowerCase();
+        const collections = collectionId === "all" ? this.all : [this.find(collectionId)].filter(Boolean);
+        const entries = [];
+        collections.forEach((collection) => {
+            collection.chords.forEach((chord) => {
+                if (quality && this.qualityOf(chord) !== quality) return;
+                if (text && !chord.name.toLowerCase().includes(text)
+                    && !(chord.tags || []).some(tag => tag.includes(text))) return;
+                entries.push({ chord, collection });
+            });
+        });
+        return entries;
+    }
+
+    // An empty collection that isn't in the library yet; index keeps ids made together apart
+    newCollection(name, index = this.collections.length) {
+        return { id: `collection-${Date.now()}-${index}`, name: name.trim(), chords: [] };
+    }
+
+    createCollection(name) {
+        const collection = this.newCollection(name);
+        this.collections.push(collection);
+        this.save();
+        return collection;
+    }
+
+    renameCollection(id, name) {
+        const collection = this.collections.find(c => c.id === id);
+        if (!collection) return;
+        collection.name = name.trim();
+        this.save();
+    }
+
+    removeCollection(id) {
+        this.collections = this.collections.filter(c => c.id !== id);
+        this.save();
+    }
+
+    // Adds a chord, or replaces the one at index; the chord must already be valid
+    saveChord(collectionId, chord, index = -1) {
+        const collection = this.collections.find(c => c.id === collectionId);
+        if (!collection) return;
+        const normalized = this.normalize(chord);
+        if (index >= 0 && index < collection.chords.length) collection.chords[index] = normalized;
+        else collection.chords.push(normalized);
+        this.save();
+    }
+
+    removeChord(collectionId, index) {
+        const collection = this.collections.find(c => c.id === collectionId);
+        if (!collection) return;
+        collection.chords.splice(index, 1);
+        this.save();
+    }
+
+    // Reads "x32010", "x 3 2 0 1 0" or "x,3,2,0,1,0" as numbers, x (muted) as -1
+    parseStrings(text) {
+        const trimmed = text.trim();
+        const tokens = /[\s,]/.test(trimmed) ? trimmed.split(/[\s,]+/) : trimmed.split("");
+        return tokens.filter(token => token !== "").map((token) => {
+            if (/^[xX]$/.test(token)) return -1;
+            return /^-?\d+$/.test(token) ? parseInt(token) : NaN;
+        });
+    }
+
+    // Fills in startFret when missing (from the nut unless the shape sits above the 5th fret) and tidies tags
+    normalize(chord) {
+        const fretted = chord.frets.filter(fret => fret > 0);
+        const startFret = Number.isInteger(chord.startFret)
+            ? chord.startFret
+            : (fretted.length && Math.max(...fretted) > 5 ? Math.min(...fretted) : 0);
+        const tags = (chord.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+        return {
+            name: chord.name.trim(),
+            frets: chord.frets.slice(),
+            fingers: chord.fingers.slice(),
+            startFret,
+            tags: Array.from(new Set(tags))
+        };
+    }
+
+    /**
+     * Checks a chord can be drawn and played: six strings, frets from x to
+     * maxFret, fingers 1-4 on every fretted string (0 on open and muted ones),
+     * one fret per finger and a hand span of at most five frets. Tags, if
+     * given, are a list of strings.
+     * Returns a list of problems; empty when the chord is valid.
+     */
+    validate(chord) {
+        const errors = [];
+        if (typeof chord.name !== "string" || !chord.name.trim()) errors.push("Give the chord a name.");
+        if (chord.tags !== undefined && chord.tags !== null
+            && !(Array.isArray(chord.tags) && chord.tags.every(tag => typeof tag === "string"))) {
+            errors.push("Tags must be a list of words.");
+        }
+
+        const frets = chord.frets;
+        const fingers = chord.fingers;
+        const fretsValid = Array.isArray(frets) && frets.length === 6;
+        const fingersValid = Array.isArray(fingers) && fingers.length === 6;
+        if (!fretsValid) {
+            errors.push("Frets need exactly six values, low string to high.");
+        } else if (!frets.every(fret => Number.isInteger(fret) && fret >= -1 && fret <= this.maxFret)) {
+            errors.push(`Frets must be x (muted), 0 (open) or 1–${this.maxFret}.`);
+        }
+        if (!fingersValid) {
+            errors.push("Fingers need exactly six values, low string to high.");
+        } else if (!fingers.every(finger => Number.isInteger(finger) && finger >= 0 && finger <= 4)) {
+            errors.push("Fingers must be 1–4, or 0 for open and muted strings.");
+        }
+        if (errors.length) return errors;
+
+        frets.forEach((fret, i) => {
+            if (fret > 0 && fingers[i] === 0) errors.push(`The ${stringOrdinals[i]} string is fretted but has no finger.`);
+            if (fret <= 0 && fingers[i] > 0) errors.push(`The ${stringOrdinals[i]} string is ${fret === 0 ? "open" : "muted"} but has a finger.`);
+        });
+        if (frets.every(fret => fret === -1)) errors.push("At least one string has to be played.");
+
+        const fretted = frets.filter(fret => fret > 0);
+        if (fretted.length && Math.max(...fretted) - Math.min(...fretted) > 4) {
+            errors.push("The fretted notes span more than five frets.");
+        }
+        for (let finger = 1; finger <= 4; finger++) {
+            const used = new Set(frets.filter((fret, i) => fingers[i] === finger && fret > 0));
+            if (used.size > 1) errors.push(`Finger ${finger} can't hold down two different frets.`);
+        }
+
+        if (chord.startFret !== undefined && chord.startFret !== null) {
+            if (!Number.isInteger(chord.startFret) || chord.startFret < 0 || chord.startFret > this.maxFret) {
+                errors.push(`The first fret shown must be 0 (the nut) to ${this.maxFret}.`);
+            } else if (chord.startFret > 0 && fretted.some(fret => fret < chord.startFret)) {
+                errors.push("The first fret shown is above some of the fretted notes.");
+            }
+        }
+        return errors;
+    }
+
+    toData(collectionId) {
+        const collection = this.find(collectionId);
+        return {
+            type: "guitarApp.chordCollection",
+            version: 1,
+            name: collection.name,
+            chords: collection.chords.map(chord => this.normalize(chord))
+        };
+    }
+
+    exportJSON(collectionId) {
+        return JSON.stringify(this.toData(collectionId), null, 2);
+    }
+
+    /**
+     * Adds collections from exported JSON (one collection or an array of them)
+     * as new collections. Invalid chords are left out and listed in `skipped`.
+     * Returns { collections, skipped }; throws if the text isn't a collection.
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : [data];
+        if (!list.length || !list.every(item => item && typeof item.name === "string" && Array.isArray(item.chords))) {
+            throw new Error("Not a chord collection");
+        }
+
+        const skipped = [];
+        const collections = list.map((item, i) => {
+            const collection = this.newCollection(item.name.trim() || "Imported chords", this.collections.length + i);
+            item.chords.forEach((chord) => {
+                if (chord && !this.validate(chord).length) collection.chords.push(this.normalize(chord));
+                else skipped.push(chord && chord.name ? String(chord.name) : "(unnamed)");
+            });
+            return collection;
+        });
+        this.collections.push(...collections);
+        this.save();
+        return { collections, skipped };
+    }
+
+    // A link that opens the app and offers to import the collection
+    shareURL(collectionId, base = location.href.split("#")[0]) {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.toData(collectionId)));
+        let binary = "";
+        bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+        const encoded = btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+        return `${base}#chords=${encoded}`;
+    }
+
+    // The collection JSON in a share link's hash, or null
+    decodeShareHash(hash) {
+        const match = /^#chords=([A-Za-z0-9_-]+)$/.exec(hash);
+        if (!match) return null;
+        try {
+            const binary = atob(match[1].replace(/-/g, "+").replace(/_/g, "/"));
+            return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+        } catch (err) {
+            console.warn("Could not read shared chord collection:", err);
+            return null;
+        }
+    }
+}
+
+// --- Chord Listener ---
+// Suggests chord names for what's being strummed: a smoothed chromagram of the
+// microphone spectrum matched against chord templates a few times a second.
+class ChordListener {
+    constructor(onSuggestions) {
+        this.onSuggestions = onSuggestions;
+        this.isListening = false;
+        this.source = null;
+        this.analyser = null;
+        this.spectrum = null;
+        this.chroma = new Float32Array(12);
+        this.bassChroma = new Float32Array(12);
+        this.intervalID = null;
+        this.smoothing = 0.6; // Weight kept from the previous chromagram each update
+    }
+
+    async start() {
+        const ctx = getAudioContext();
+        await ctx.resume();
+
+        this.source = await microphone.acquire();
+        this.analyser = ctx.createAnalyser();
+        this.analyser.fftSize = 8192;
+        this.source.connect(this.analyser);
+        this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+        this.chroma.fill(0);
+        this.bassChroma.fill(0);
+        this.isListening = true;
+        this.intervalID = setInterval(() => this.update(), 150);
+    }
+
+    stop() {
+        this.isListening = false;
+        clearInterval(this.intervalID);
+        if (this.source) {
+            this.source.disconnect(this.analyser);
+            this.source = null;
+            microphone.release();
+        }
+    }
+
+    update() {
+        const ctx = getAudioContext();
+        this.analyser.getFloatFrequencyData(this.spectrum);
+
+        const common = { referencePitch: referencePitch.value, floor: -80 };
+        const chroma = PitchDetection.chromagram(this.spectrum, ctx.sampleRate, this.analyser.fftSize, common);
+        const bass = PitchDetection.chromagram(this.spectrum, ctx.sampleRate, this.analyser.fftSize,
+            Object.assign({ maxFrequency: 180 }, common));
+
+        let heard = false;
+        for (let i = 0; i < 12; i++) {
+            this.chroma[i] = this.chroma[i] * this.smoothing + chroma[i] * (1 - this.smoothing);
+            this.bassChroma[i] = this.bassChroma[i] * this.smoothing + bass[i] * (1 - this.smoothing);
+            if (chroma[i] > 0) heard = true;
+        }
+
+        this.onSuggestions(heard ? ChordEngine.matchChroma(this.chroma, this.bassChroma) : [], this.chroma);
+    }
+}
+
+// --- Scales ---
+// relativeMajor: semitones from the scale's root to the major key whose CAGED
+// shapes it shares (e.g. A minor uses the C major shapes, so 3)
+const scaleTypes = [
+    { id: "major",            name: "Major (Ionian)",          intervals: [0, 2, 4, 5, 7, 9, 11], relativeMajor: 0 },
+    { id: "minor",            name: "Natural Minor (Aeolian)", intervals: [0, 2, 3, 5, 7, 8, 10], relativeMajor: 3 },
+    { id: "major-pentatonic", name: "Major Pentatonic",        intervals: [0, 2, 4, 7, 9],        relativeMajor: 0 },
+    { id: "minor-pentatonic", name: "Minor Pentatonic",        intervals: [0, 3, 5, 7, 10],       relativeMajor: 3 },
+    { id: "blues",            name: "Blues",                   intervals: [0, 3, 5, 6, 7, 10],    relativeMajor: 3 },
+    { id: "dorian",           name: "Dorian",                  intervals: [0, 2, 3, 5, 7, 9, 10], relativeMajor: 10 },
+    { id: "phrygian",         name: "Phrygian",                intervals: [0, 1, 3, 5, 7, 8, 10], relativeMajor: 8 },
+    { id: "lydian",           name: "Lydian",                  intervals: [0, 2, 4, 6, 7, 9, 11], relativeMajor: 7 },
+    { id: "mixolydian",       name: "Mixolydian",              intervals: [0, 2, 4, 5, 7, 9, 10], relativeMajor: 5 },
+    { id: "locrian",          name: "Locrian",                 intervals: [0, 1, 3, 5, 6, 8, 10], relativeMajor: 1 },
+    { id: "harmonic-minor",   name: "Harmonic Minor",          intervals: [0, 2, 3, 5, 7, 8, 11], relativeMajor: 3 },
+    { id: "melodic-minor",    name: "Melodic Minor",           intervals: [0, 2, 3, 5, 7, 9, 11], relativeMajor: 3 }
+];
+
+const intervalLabels = ["1", "♭2", "2", "♭3", "3", "4", "♭5", "5", "♭6", "6", "♭7", "7"];
+
+// Fret windows of the five CAGED shapes of a major key, relative to its root on
+// the lowest string (e.g. G major, root at fret 3: the E shape covers frets 2-5)
+const cagedShapes = [
+    { shape: "E", from: -1, to: 2 },
+    { shape: "D", from: 1, to: 5 },
+    { shape: "C", from: 4, to: 7 },
+    { shape: "A", from: 6, to: 10 },
+    { shape: "G", from: 9, to: 12 }
+];
+
+const ScaleExplorer = {
+    maxFret: 22,
+
+    /**
+     * Resolves a scale id, or "chord:<quality id>" for an arpeggio, to
+     * { name, intervals, labels, relativeMajor }.
+     */
+    getType(id) {
+        if (id.startsWith("chord:")) {
+            const quality = ChordEngine.getQuality(id.slice(6));
+            const labels = quality.intervals.map((interval) => {
+                if (interval === 2) return "9";
+                if (interval === 9 && quality.id === "13") return "13";
+                if (interval === 8 && quality.id === "aug") return "♯5";
+                return intervalLabels[interval];
+            });
+            const isMinor = quality.intervals.includes(3) && !quality.intervals.includes(4);
+            return { name: `${quality.name} arpeggio`, intervals: quality.intervals, labels, relativeMajor: isMinor ? 3 : 0 };
+        }
+
+        const scale = scaleTypes.find(type => type.id === id) || scaleTypes[0];
+        return {
+            name: scale.name,
+            intervals: scale.intervals,
+            labels: scale.intervals.map(interval => intervalLabels[interval]),
+            relativeMajor: scale.relativeMajor
+        };
+    },
+
+    // Every scale note on the neck: [{ string, fret, midi, interval, label, isRoot }]
+    getNotes(rootPc, typeId, tuning = tuningManager.current.midi) {
+        const type = this.getType(typeId);
+        const notes = [];
+        tuning.forEach((openMidi, string) => {
+            for (let fret = 0; fret <= this.maxFret; fret++) {
+                const midi = openMidi + fret;
+                const index = type.intervals.indexOf((midi - rootPc + 120) % 12);
+                if (index === -1) continue;
+                notes.push({
+                    string,
+                    fret,
+                    midi,
+                    interval: type.intervals[index],
+                    label: type.labels[index],
+                    isRoot: type.intervals[index] === 0
+                });
+            }
+        });
+        return notes;
+    },
+
+    /**
+     * Position filters for a scale: the five CAGED shapes, then one position per
+     * scale degree with a fixed number of notes on each string (3 for scales of
+     * six or more notes, 2 for pentatonics and arpeggios).
+     * Returns [{ id, name, contains(note) }], ordered up the neck within each group.
+     */
+    getPositions(rootPc, typeId, tuning = tuningManager.current.midi) {
+        const type = this.getType(typeId);
+        const positions = [];
+
+        // CAGED windows repeat every 12 frets
+        const majorRoot = (rootPc + type.relativeMajor) % 12;
+        const lowestRootFret = (majorRoot - tuning[0] % 12 + 12) % 12;
+        cagedShapes
+            .map(shape => Object.assign({ low: ((lowestRootFret + shape.from) % 12 + 12) % 12 }, shape))
+            .sort((a, b) => a.low - b.low)
+            .forEach((shape) => {
+                const width = shape.to - shape.from;
+                positions.push({
+                    id: `caged-${shape.shape}`,
+                    name: `${shape.shape} shape (frets ${shape.low}–${shape.low + width})`,
+                    contains: note => [-12, 0, 12].some(octave => {
+                        const low = shape.low + octave;
+                        return note.fret >= low && note.fret <= low + width;
+                    })
+                });
+            });
+
+        // N notes per string: walk up the scale from each degree on the lowest string
+        const perString = type.intervals.length >= 6 ? 3 : 2;
+        const sorted = type.intervals.slice().sort((a, b) => a - b);
+        const scalePitches = [];
+        for (let midi = tuning[0]; midi <= tuning[tuning.length - 1] + this.maxFret; midi++) {
+            if (sorted.includes((midi - rootPc + 120) % 12)) scalePitches.push(midi);
+        }
+
+        for (let degree = 0; degree < sorted.length; degree++) {
+            const keys = new Set();
+            let cursor = degree;
+            tuning.forEach((openMidi, string) => {
+                for (let n = 0; n < perString && cursor < scalePitches.length; n++, cursor++) {
+                    const fret = scalePitches[cursor] - openMidi;
+                    if (fret >= 0 && fret <= this.maxFret) keys.add(`${string}:${fret}`);
+                }
+            });
+            const startFret = scalePitches[degree] - tuning[0];
+            positions.push({
+                id: `nps-${degree}`,
+                name: `${perString} notes per string, position ${degree + 1} (fret ${startFret})`,
+                contains: note => keys.has(`${note.string}:${note.fret}`)
+            });
+        }
+
+        return positions;
+    }
+};
+
+// --- Fretboard View ---
+// Full-neck SVG with strings as rows, high string on top like the chord diagrams
+const Fretboard = {
+    fretWidth: 42,
+    stringSpacing: 26,
+    inlays: [3, 5, 7, 9, 15, 17, 19, 21],
+    doubleInlays: [12],
+
+    /**
+     * Draws the neck and the given notes ([{ string, fret, label, isRoot, dimmed }]).
+     * onNoteClick(note) is called when a note is clicked.
+     */
+    render(container, notes, options = {}) {
+        const svgNS = "http://www.w3.org/2000/svg";
+        const numStrings = 6;
+        const numFrets = options.numFrets || ScaleExplorer.maxFret;
+        const leftPad = 34;
+        const topPad = 18;
+        const neckHeight = (numStrings - 1) * this.stringSpacing;
+        const width = leftPad + numFrets * this.fretWidth + 12;
+        const height = topPad + neckHeight + 30;
+
+        // Note n sits in the middle of its fret; open notes sit left of the nut
+        const noteX = fret => fret === 0 ? leftPad / 2 : leftPad + (fret - 0.5) * this.fretWidth;
+        const stringY = string => topPad + (numStrings - 1 - string) * this.stringSpacing;
+
+        const svg = document.createElementNS(svgNS, "svg");
+        svg.setAttribute("width", width);
+        svg.setAttribute("height", height);
+        svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+        const create = (tag, attributes) => {
+            const element = document.createElementNS(svgNS, tag);
+            Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+            svg.appendChild(element);
+            return element;
+        };
+
+        // Inlays and fret numbers
+        const middle = topPad + neckHeight / 2;
+        for (let fret = 1; fret <= numFrets; fret++) {
+            const x = leftPad + (fret - 0.5) * this.fretWidth;
+            if (this.inlays.includes(fret)) {
+                create("circle", { cx: x, cy: middle, r: 5, fill: "#3a3a40" });
+            }
+            if (this.doubleInlays.includes(fret)) {
+                create("circle", { cx: x, cy: middle - this.stringSpacing, r: 5, fill: "#3a3a40" });
+                create("circle", { cx: x, cy: middle + this.stringSpacing, r: 5, fill: "#3a3a40" });
+            }
+            if (this.inlays.includes(fret) || this.doubleInlays.includes(fret)) {
+                const label = create("text", {
+                    x, y: topPad + neckHeight + 24, "text-anchor": "middle", fill: "#a1a1aa",
+                    "font-size": "11", "font-family": "Inter, sans-serif"
+                });
+                label.textContent = fret;
+            }
+        }
+
+        // Nut and frets
+        create("line", { x1: leftPad, y1: topPad, x2: leftPad, y2: topPad + neckHeight, stroke: "#ffffff", "stroke-width": 4 });
+        for (let fret = 1; fret <= numFrets; fret++) {
+            const x = leftPad + fret * this.fretWidth;
+            create("line", { x1: x, y1: topPad, x2: x, y2: topPad + neckHeight, stroke: "#555", "stroke-width": 2 });
+        }
+
+        // Strings, thicker toward the bass
+        for (let string = 0; string < numStrings; string++) {
+            const y = stringY(string);
+            create("line", { x1: leftPad, y1: y, x2: width - 12, y2: y, stroke: "#888", "stroke-width": 1 + (numStrings - 1 - string) * 0.3 });
+        }
+
+        notes.forEach((note) => {
+            const group = document.createElementNS(svgNS, "g");
+            group.setAttribute("class", "fretboard-note");
+            group.setAttribute("opacity", note.dimmed ? 0.2 : 1);
+            if (options.onNoteClick) {
+                group.style.cursor = "pointer";
+                group.addEventListener("click", () => options.onNoteClick(note));
+            }
+
+            const circle = document.createElementNS(svgNS, "circle");
+            circle.setAttribute("cx", noteX(note.fret));
+            circle.setAttribute("cy", stringY(note.string));
+            circle.setAttribute("r", 10);
+            circle.setAttribute("fill", note.isRoot ? "#8257e5" : "#e4e4e7");
+            group.appendChild(circle);
+
+            const text = document.createElementNS(svgNS, "text");
+            text.setAttribute("x", noteX(note.fret));
+            text.setAttribute("y", stringY(note.string) + 4);
+            text.setAttribute("text-anchor", "middle");
+            text.setAttribute("fill", note.isRoot ? "#ffffff" : "#18181b");
+            text.setAttribute("font-size", "10");
+            text.setAttribute("font-weight", "700");
+            text.setAttribute("font-family", "Inter, sans-serif");
+            text.textContent = note.label;
+            group.appendChild(text);
+
+            svg.appendChild(group);
+        });
+
+        container.innerHTML = "";
+        container.appendChild(svg);
+    }
+};
+
+// --- Chord Diagram Export ---
+// Turns ChordDiagram SVG markup into files: .svg as is, .png drawn through a canvas
+const ChordExport = {
+    pngScale: 3, // PNGs are drawn at three times the diagram size so they stay sharp when printed
+
+    svgBlob(svg) {
+        return new Blob([svg], { type: "image/svg+xml" });
+    },
+
+    // Resolves to a PNG Blob; the SVG must be standalone (with its xmlns) to load as an image
+    pngBlob(svg, scale = this.pngScale) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(this.svgBlob(svg));
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+                const context = canvas.getContext("2d");
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("PNG encoding failed")), "image/png");
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error("The diagram could not be drawn"));
+            };
+            image.src = url;
+        });
+    },
+
+    // "C#m7/G♭" -> "csharpm7-gb"
+    fileName(name) {
+        return name.replace(/[#♯]/g, "sharp").replace(/♭/g, "b")
+            .replace(/[^\w-]+/g, "-").replace(/^-|-$/g, "").toLowerCase() || "chord";
+    },
+
+    download(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+};
+
+// --- Plucked String Synthesis ---
+// Karplus-Strong: a noise burst circulating through a delay line one period long,
+// losing a little energy and high end on every pass, the way a real string does.
+const PluckedString = {
+    /**
+     * Renders one plucked note into a Float32Array.
+     * brightness (0..1) shapes the pick noise and how fast highs die away;
+     * decay is the time in seconds for the note to fall by 60 dB.
+     */
+    render(sampleRate, frequency, options = {}) {
+        const opts = Object.assign({ brightness: 0.5, decay: 3, velocity: 1 }, options);
+        const length = Math.ceil(sampleRate * Math.min(opts.decay + 0.1, 6));
+        const output = new Float32Array(length);
+
+        // Loop lowpass: 0.5 is the classic two-point average, lower keeps more highs
+        const stretch = 0.5 - opts.brightness * 0.4;
+
+        // The lowpass delays the loop by `stretch` samples; a first-order allpass
+        // makes up the fractional remainder so the note is in tune.
+        const period = sampleRate / frequency - stretch;
+        const delayLength = Math.max(2, Math.floor(period));
+        const fraction = period - delayLength;
+        const allpass = (1 - fraction) / (1 + fraction);
+        const loopGain = Math.pow(10, -3 / (opts.decay * frequency));
+
+        // Excitation: one period of noise, darker for low brightness
+        const line = new Float32Array(delayLength);
+        const pickFilter = 0.1 + opts.brightness * 0.9;
+        let smoothed = 0;
+        for (let i = 0; i < delayLength; i++) {
+            smoothed += pickFilter * ((Math.random() * 2 - 1) - smoothed);
+            line[i] = smoothed * opts.velocity;
+        }
+
+        let index = 0;
+        let previous = 0;
+        let allpassIn = 0;
+        let allpassOut = 0;
+        for (let n = 0; n < length; n++) {
+            const current = line[index];
+            output[n] = current;
+
+            const filtered = loopGain * ((1 - stretch) * current + stretch * previous);
+            allpassOut = allpass * filtered + allpassIn - allpass * allpassOut;
+            allpassIn = filtered;
+            previous = current;
+
+            line[index] = allpassOut;
+            index = (index + 1) % delayLength;
+        }
+
+        return output;
+    }
+};
+
+// Fingerpicking patterns, one entry per step: "bass" is the lowest sounding
+// string, "alt" the next one up, numbers are string indices (3 = G, 5 = high E).
+const pickingPatterns = [
+    { id: "strum", name: "Strum", steps: null },
+    { id: "pima", name: "p-i-m-a", steps: [["bass"], [3], [4], [5]] },
+    { id: "travis", name: "Travis", steps: [["bass", 5], [4], ["alt"], [3], ["bass"], [4], ["alt", 5], [3]] },
+    { id: "pimami", name: "p-i-m-a-m-i", steps: [["bass"], [3], [4], [5], [4], [3]] },
+    { id: "arpeggio", name: "Arpeggio up & down", steps: "updown" }
+];
+
+// --- Chord Player ---
+class ChordPlayer {
+    constructor() {
+        this.settings = {
+            brightness: 0.5,     // 0..1
+            decay: 3,            // Seconds to fall by 60 dB
+            body: 0.5,           // 0..1 amount of body resonance
+            direction: "down",   // "down" (low to high) or "up"
+            strumSpeed: 0.03,    // Seconds between strings in a strum
+            pattern: "strum"
+        };
+        this.headroom = 0.5;          // Level of a six-string strum, which peaks around 1.7 at full level
+        this.outputs = new WeakMap(); // Destination -> the player's limiter into it
+    }
+
+    setSettings(changes) {
+        Object.assign(this.settings, changes);
+    }
+
+    strum(chord, options = {}) {
+        const ctx = getAudioContext();
+        ctx.resume();
+        return this.schedule(ctx, ctx.destination, chord, ctx.currentTime + 0.02, options);
+    }
+
+    /**
+     * Renders a chord offline (no speakers needed) and resolves with the AudioBuffer.
+     */
+    render(chord, options = {}, sampleRate = 44100) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const opts = Object.assign({}, this.settings, options);
+        const duration = this.getDuration(chord, opts) + 0.1;
+        const ctx = new OfflineContext(1, Math.ceil(duration * sampleRate), sampleRate);
+        this.schedule(ctx, ctx.destination, chord, 0, opts);
+        return ctx.startRendering();
+    }
+
+    /**
+     * Schedules a chord on any audio context starting at time, using the player
+     * settings overridden by options. Returns the time the last note starts.
+     */
+    schedule(ctx, destination, chord, time, options = {}) {
+        const opts = Object.assign({}, this.settings, options);
+        // Generated voicings carry the tuning they were built for
+        const openStringFreqs = chord.tuning ? chord.tuning.map(midiToFrequency) : getOpenStringFreqs();
+        const events = this.getEvents(chord, opts);
+        const output = this.createVoice(ctx, destination, new Set(events.map(event => event.string)).size, opts.body);
+
+        let lastStart = time;
+        events.forEach((event) => {
+            const fret = chord.frets[event.string];
+            const frequency = openStringFreqs[event.string] * Math.pow(2, fret / 12);
+            this.pluck(ctx, output, frequency, time + event.offset, event.velocity, opts);
+            lastStart = Math.max(lastStart, time + event.offset);
+        });
+
+        return lastStart;
+    }
+
+    // Plays a single string, e.g. a note clicked on the fretboard, delay seconds from now.
+    // Returns the seconds from now until the note has died away.
+    playNote(midi, delay = 0) {
+        const ctx = getAudioContext();
+        ctx.resume();
+        const output = this.createVoice(ctx, ctx.destination, 1, this.settings.body);
+        const end = this.pluck(ctx, output, midiToFrequency(midi), ctx.currentTime + 0.02 + delay, 0.4, this.settings);
+        return end - ctx.currentTime;
+    }
+
+    // Returns the context time the note ends
+    pluck(ctx, destination, frequency, time, velocity, opts) {
+        const samples = PluckedString.render(ctx.sampleRate, frequency, {
+            brightness: opts.brightness,
+            decay: opts.decay,
+            velocity
+        });
+
+        const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+        buffer.getChannelData(0).set(samples);
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(destination);
+        source.start(time);
+        return time + buffer.duration;
+    }
+
+    // The pluck order: [{ string, offset (s), velocity }]. A pattern stops at
+    // opts.duration seconds when given (e.g. a chord held for two beats).
+    getEvents(chord, opts) {
+        const played = [];
+        chord.frets.forEach((fret, string) => {
+            if (fret >= 0) played.push(string);
+        });
+        if (!played.length) return [];
+
+        const pattern = pickingPatterns.find(p => p.id === opts.pattern) || pickingPatterns[0];
+        if (!pattern.steps) {
+            const order = opts.direction === "up" ? played.slice().reverse() : played;
+            // Up strums catch the treble strings harder and often miss the bass
+            return order.map((string, i) => ({
+                string,
+                offset: i * opts.strumSpeed,
+                velocity: 0.35 * (opts.direction === "up" ? 1 - i * 0.08 : 1)
+            }));
+        }
+
+        const stepDuration = opts.stepDuration || 60 / metronome.bpm / 2; // Eighth notes
+        const steps = pattern.steps === "updown"
+            ? played.concat(played.slice(1, -1).reverse()).map(string => [string])
+            : pattern.steps;
+
+        const events = [];
+        steps.forEach((step, i) => {
+            if (opts.duration && i * stepDuration >= opts.duration - 1e-6) return;
+            step.forEach((role) => {
+                let string = role;
+                if (role === "bass") string = played[0];
+                else if (role === "alt") string = played[1];
+                if (string === undefined || chord.frets[string] < 0) return;
+                events.push({ string, offset: i * stepDuration, velocity: role === "bass" ? 0.4 : 0.3 });
+            });
+        });
+        return events;
+    }
+
+    getDuration(chord, opts) {
+        const events = this.getEvents(chord, opts);
+        const lastOffset = events.reduce((max, event) => Math.max(max, event.offset), 0);
+        return lastOffset + Math.min(opts.decay + 0.1, 6);
+    }
+
+    // Gain for a chord of some number of strings: 1 for a single note, falling to
+    // headroom for all six, so strums don't clip and single notes stay clearly audible
+    getLevel(strings) {
+        return 1 / (1 + Math.max(0, strings - 1) / 5 * (1 / this.headroom - 1));
+    }
+
+    // The chain one chord or note plays into: body resonance, its level, then the shared limiter
+    createVoice(ctx, destination, strings, body) {
+        const level = ctx.createGain();
+        level.gain.value = this.getLevel(strings);
+        level.connect(this.getOutput(ctx, destination));
+        return this.createBody(ctx, level, body);
+    }
+
+    // Everything the player sounds into a destination shares one limiter, which
+    // catches chords ringing into each other
+    getOutput(ctx, destination) {
+        let limiter = this.outputs.get(destination);
+        if (!limiter) {
+            limiter = ctx.createDynamicsCompressor();
+            limiter.threshold.value = -3;
+            limiter.knee.value = 0;
+            limiter.ratio.value = 20;
+            limiter.attack.value = 0.002;
+            limiter.release.value = 0.2;
+            limiter.connect(destination);
+            this.outputs.set(destination, limiter);
+        }
+        return limiter;
+    }
+
+    // Peaking filters at the main body modes of an acoustic guitar
+    createBody(ctx, destination, amount) {
+        const resonances = [
+            { frequency: 100, q: 3, gain: 9 },   // Air cavity
+            { frequency: 200, q: 2.5, gain: 6 }, // Top plate
+            { frequency: 400, q: 2, gain: 4 }
+        ];
+
+        let node = destination;
+        resonances.forEach((resonance) => {
+            const filter = ctx.createBiquadFilter();
+            filter.type = "peaking";
+            filter.frequency.value = resonance.frequency;
+            filter.Q.value = resonance.q;
+            filter.gain.value = resonance.gain * amount;
+            filter.connect(node);
+            node = filter;
+        });
+        return node;
+    }
+}
+
+// --- Progression Player ---
+// Plays a chord sequence in time with the metronome: strums are scheduled from
+// the metronome's beat listener, so they share its lookahead clock.
+class ProgressionPlayer {
+    constructor() {
+        this.chords = [];         // [{ chord, beats }]
+        this.loop = true;
+        this.countInBars = 1;
+        this.strumEveryBeat = false;
+        this.isPlaying = false;
+        this.onBeat = (event) => this.handleBeat(event);
+    }
+
+    add(chord, beats = metronome.beatsInBar) {
+        this.chords.push({ chord, beats });
+    }
+
+    remove(index) {
+        this.chords.splice(index, 1);
+    }
+
+    setBeats(index, beats) {
+        this.chords[index].beats = beats;
+    }
+
+    clear() {
+        this.chords = [];
+    }
+
+    // Parses "G D Em C" or "G:2, D:2, Em, C" (name:beats); returns names it didn't recognize
+    parse(text) {
+        const unknown = [];
+        const entries = [];
+        text.split(/[\s,|–—]+/).filter(Boolean).forEach((token) => {
+            const [name, beats] = token.split(":");
+            const chord = ChordEngine.findChord(name);
+            if (!chord) {
+                unknown.push(name);
+                return;
+            }
+            const count = parseInt(beats);
+            entries.push({ chord, beats: count > 0 ? Math.min(count, 32) : metronome.beatsInBar });
+        });
+        if (!unknown.length) this.chords = entries;
+        return unknown;
+    }
+
+    start() {
+        if (!this.chords.length) return false;
+        this.isPlaying = true;
+        this.index = 0;
+        this.beatInChord = 0;
+        this.waitingForBar = true;
+        this.countInRemaining = this.countInBars * metronome.beatsInBar;
+        metronome.addBeatListener(this.onBeat);
+        return true;
+    }
+
+    stop() {
+        this.isPlaying = false;
+        metronome.removeBeatListener(this.onBeat);
+    }
+
+    getNextIndex(index) {
+        if (index + 1 < this.chords.length) return index + 1;
+        return this.loop ? 0 : -1;
+    }
+
+    handleBeat({ beat, time, bpm }) {
+        // Always begin on a downbeat, even when joining a running metronome
+        if (this.waitingForBar) {
+            if (beat !== 0) return;
+            this.waitingForBar = false;
+        }
+
+        if (this.countInRemaining > 0) {
+            const remaining = this.countInRemaining--;
+            metronome.scheduleVisual(time, () => ui.showProgressionCountIn(remaining));
+            return;
+        }
+
+        if (this.index >= this.chords.length) {
+            if (!this.loop || !this.chords.length) {
+                this.stop();
+                metronome.scheduleVisual(time, () => ui.stopProgression());
+                return;
+            }
+            this.index = 0;
+        }
+
+        const index = this.index;
+        const entry = this.chords[index];
+        const isChange = this.beatInChord === 0;
+        if (isChange || (this.strumEveryBeat && chordPlayer.settings.pattern === "strum")) {
+            const ctx = getAudioContext();
+            // Picking patterns stop where the next chord begins
+            chordPlayer.schedule(ctx, ctx.destination, entry.chord, time, { duration: entry.beats * 60 / bpm });
+        }
+        if (isChange) {
+            const next = this.getNextIndex(index);
+            metronome.scheduleVisual(time, () => ui.highlightProgression(index, next));
+        }
+
+        this.beatInChord++;
+        if (this.beatInChord >= entry.beats) {
+            this.beatInChord = 0;
+            this.index++;
+        }
+    }
+}
+
+// --- Ear Training ---
+const earIntervals = [
+    { semitones: 1,  name: "Minor 2nd" },
+    { semitones: 2,  name: "Major 2nd" },
+    { semitones: 3,  name: "Minor 3rd" },
+    { semitones: 4,  name: "Major 3rd" },
+    { semitones: 5,  name: "Perfect 4th" },
+    { semitones: 6,  name: "Tritone" },
+    { semitones: 7,  name: "Perfect 5th" },
+    { semitones: 8,  name: "Minor 6th" },
+    { semitones: 9,  name: "Major 6th" },
+    { semitones: 10, name: "Minor 7th" },
+    { semitones: 11, name: "Major 7th" },
+    { semitones: 12, name: "Octave" }
+];
+
+// What each category asks at difficulty levels 1-3
+const earCategories = [
+    { id: "intervals", name: "Intervals",  levels: [[4, 5, 7, 12], [2, 3, 4, 5, 7, 9, 12], [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]] },
+    { id: "qualities", name: "Qualities",  levels: [["maj", "m"], ["maj", "m", "7", "maj7"], ["maj", "m", "7", "maj7", "m7", "sus4", "dim", "aug"]] },
+    { id: "chords",    name: "Chords",     levels: [3, 4, 6] },  // Answer choices offered
+    { id: "playback",  name: "Play it back", levels: ["open", "named", "heard"] }
+];
+
+function randomItem(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+function shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+class EarTrainer {
+    constructor() {
+        this.storageKey = "guitarApp.earTraining";
+        this.levels = {};       // Category id -> 1..3
+        this.totals = {};       // Category id -> { asked, correct } across sessions
+        this.levelUpStreak = 4; // Correct answers in a row to move up a level
+        this.levelDownMisses = 2; // Misses in a row to move down
+        this.question = null;
+        this.listenFrom = 0;    // performance.now() time before which playback answers aren't heard
+        this.load();
+        this.resetSession();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                this.levels = saved.levels || {};
+                this.totals = saved.totals || {};
+            }
+        } catch (err) {
+            console.warn("Could not load ear training stats:", err);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ levels: this.levels, totals: this.totals }));
+        } catch (err) {
+            console.warn("Could not save ear training stats:", err);
+        }
+    }
+
+    resetSession() {
+        // stats: category id -> { asked, correct, streak, misses }
+        this.session = { startedAt: Date.now(), stats: {}, bestStreak: 0 };
+    }
+
+    getLevel(categoryId) {
+        return this.levels[categoryId] || 1;
+    }
+
+    getCategory(categoryId) {
+        return earCategories.find(category => category.id === categoryId) || earCategories[0];
+    }
+
+    /**
+     * Makes a new question: { category, answer, choices: [{ id, label }], prompt, ... }.
+     * Playback questions have no choices; they're answered with checkPitch().
+     */
+    next(categoryId) {
+        const category = this.getCategory(categoryId);
+        const setting = category.levels[this.getLevel(category.id) - 1];
+        const tuning = tuningManager.current.midi;
+        let question;
+
+        if (category.id === "intervals") {
+            const semitones = randomItem(setting);
+            const descending = this.getLevel(category.id) === 3 && Math.random() < 0.5;
+            const low = tuning[0] + Math.floor(Math.random() * 15);
+            question = {
+                answer: String(semitones),
+                choices: setting.map(n => ({ id: String(n), label: earIntervals[n - 1].name })),
+                prompt: descending ? "Name the interval (descending)" : "Name the interval",
+                notes: descending ? [low + semitones, low] : [low, low + semitones]
+            };
+        } else if (category.id === "qualities") {
+            const qualityId = randomItem(setting);
+            const root = Math.floor(Math.random() * 12);
+            const voicings = ChordEngine.generateVoicings(root, qualityId);
+            question = {
+                answer: qualityId,
+                choices: setting.map(id => ({ id, label: ChordEngine.getQuality(id).name })),
+                prompt: "Name the chord quality",
+                chord: randomItem(voicings.slice(0, 3))
+            };
+        } else if (category.id === "chords") {
+            const chord = randomItem(chordData);
+            const others = shuffle(chordData.filter(c => c.name !== chord.name)).slice(0, setting - 1);
+            question = {
+                answer: chord.name,
+                choices: shuffle(others.concat(chord)).map(c => ({ id: c.name, label: c.name })),
+                prompt: "Which chord is this?",
+                chord
+            };
+        } else {
+            // Open strings, then any natural note up to fret 12, then any note by ear only
+            let midi;
+            if (setting === "open") {
+                midi = randomItem(tuning);
+            } else {
+                const candidates = [];
+                for (let note = tuning[0]; note <= tuning[tuning.length - 1] + 12; note++) {
+                    if (setting === "heard" || !noteStrings[note % 12].includes("#")) candidates.push(note);
+                }
+                midi = randomItem(candidates);
+            }
+            question = {
+                answer: noteStrings[midi % 12],
+                choices: [],
+                prompt: setting === "heard" ? "Play back the note you hear (any octave)" : `Play ${midiToNoteName(midi)} (any octave)`,
+                target: midi,
+                audible: setting !== "named"
+            };
+            this.pitchHold = null;
+        }
+
+        question.category = category.id;
+        question.answered = false;
+        this.question = question;
+        return question;
+    }
+
+    play() {
+        const question = this.question;
+        if (!question) return;
+
+        if (question.notes) {
+            question.notes.forEach((midi, i) => chordPlayer.playNote(midi, i * 0.7));
+        } else if (question.chord) {
+            chordPlayer.strum(question.chord, { pattern: "strum", direction: "down" });
+        } else if (question.target !== undefined && question.audible) {
+            // The microphone would hear the prompt itself, so listen once it has died away
+            const seconds = chordPlayer.playNote(question.target);
+            this.listenFrom = performance.now() + seconds * 1000;
+            this.pitchHold = null;
+        }
+    }
+
+    /**
+     * Scores an answer for the current question and adapts the level.
+     * Returns { correct, answer, level } or null if already answered.
+     */
+    answer(choiceId) {
+        const question = this.question;
+        if (!question || question.answered) return null;
+        question.answered = true;
+
+        const correct = choiceId === question.answer;
+        const id = question.category;
+        const stats = this.session.stats[id] || (this.session.stats[id] = { asked: 0, correct: 0, streak: 0, misses: 0 });
+        const totals = this.totals[id] || (this.totals[id] = { asked: 0, correct: 0 });
+        stats.asked++;
+        totals.asked++;
+
+        if (correct) {
+            stats.correct++;
+            totals.correct++;
+            stats.streak++;
+            stats.misses = 0;
+            this.session.bestStreak = Math.max(this.session.bestStreak, stats.streak);
+            if (stats.streak % this.levelUpStreak === 0) this.levels[id] = Math.min(3, this.getLevel(id) + 1);
+        } else {
+            stats.streak = 0;
+            stats.misses++;
+            if (stats.misses >= this.levelDownMisses) {
+                this.levels[id] = Math.max(1, this.getLevel(id) - 1);
+                stats.misses = 0;
+            }
+        }
+
+        this.save();
+        return { correct, answer: question.answer, level: this.getLevel(id) };
+    }
+
+    /**
+     * Feeds a tuner reading to a playback question. Once a note has been held
+     * steadily (within 40 cents for 400 ms) it is scored like a clicked answer;
+     * returns that result, or null while still listening. Readings from while
+     * the prompt note is still sounding are ignored.
+     */
+    checkPitch(reading) {
+        const question = this.question;
+        if (!question || question.category !== "playback" || question.answered) return null;
+        if (!reading || reading.time < this.listenFrom) {
+            this.pitchHold = null;
+            return null;
+        }
+
+        const exact = frequencyToMidi(reading.frequency);
+        const midi = Math.round(exact);
+        if (Math.abs(exact - midi) > 0.4) {
+            this.pitchHold = null;
+            return null;
+        }
+
+        if (!this.pitchHold || this.pitchHold.midi !== midi) {
+            this.pitchHold = { midi, since: reading.time };
+            return null;
+        }
+        if (reading.time - this.pitchHold.since < 400) return null;
+
+        const result = this.answer(noteStrings[midi % 12]);
+        if (result) result.played = midiToNoteName(midi);
+        return result;
+    }
+
+    // Session totals: { minutes, asked, correct, bestStreak, categories: [{ name, asked, correct }] }
+    getSummary() {
+        const categories = earCategories
+            .filter(category => this.session.stats[category.id])
+            .map(category => ({
+                name: category.name,
+                asked: this.session.stats[category.id].asked,
+                correct: this.session.stats[category.id].correct
+            }));
+        return {
+            minutes: Math.round((Date.now() - this.session.startedAt) / 60000),
+            asked: categories.reduce((sum, c) => sum + c.asked, 0),
+            correct: categories.reduce((sum, c) => sum + c.correct, 0),
+            bestStreak: this.session.bestStreak,
+            categories
+        };
+    }
+}
+
+// --- Practice Log ---
+const practiceActivities = {
+    "tuner": "Tuner",
+    "metronome": "Metronome",
+    "chords": "Chords",
+    "progression": "Progressions",
+    "songs": "Songs",
+    "looper": "Looper",
+    "timing": "Timing",
+    "scales": "Scales",
+    "ear-training": "Ear training"
+};
+
+// Local calendar day of a timestamp, e.g. "2024-05-31"
+function dayKey(time) {
+    const date = new Date(time);
+    const pad = n => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (seconds > 0 && minutes === 0) return "<1 min";
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+}
+
+/**
+ * Records practice sessions in IndexedDB: { id, activity, start (ms), duration (s) }
+ * plus activity details such as bpm. Timed activities (tuner, metronome) are
+ * begun and ended explicitly; browsing activities are touched on each
+ * interaction and end after a minute of idleness. Falls back to memory when
+ * IndexedDB is unavailable.
+ */
+class PracticeLog {
+    constructor() {
+        this.dbName = "guitarApp";
+        this.storeName = "practiceSessions";
+        this.active = {};            // Activity -> { entry, pending, timer, lastTouch }
+        this.minDuration = 5;        // Seconds; shorter sessions are discarded
+        this.idleTimeout = 60000;    // ms without interaction before a touched activity ends
+        this.touchGrace = 15000;     // ms credited after the last interaction
+        this.flushInterval = 30000;  // ms between saves of a running session
+        this.memory = [];
+        this.dbPromise = null;
+        this.onChange = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error("IndexedDB is not available"));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: "id", autoIncrement: true });
+                    store.createIndex("start", "start");
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(err => console.warn("Practice log is kept in memory only:", err));
+        }
+        return this.dbPromise;
+    }
+
+    // Runs one request in its own transaction and resolves with its result
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async save(entry) {
+        try {
+            entry.id = await this.request("readwrite", store => store.put(entry));
+        } catch (err) {
+            if (!this.memory.includes(entry)) this.memory.push(entry);
+        }
+    }
+
+    async remove(entry) {
+        this.memory = this.memory.filter(other => other !== entry);
+        if (entry.id === undefined) return;
+        try {
+            await this.request("readwrite", store => store.delete(entry.id));
+        } catch (err) {
+            console.warn("Could not remove practice session:", err);
+        }
+    }
+
+    async getAll() {
+        try {
+            return await this.request("readonly", store => store.getAll());
+        } catch (err) {
+            return this.memory.slice();
+        }
+    }
+
+    begin(activity, details = {}) {
+        if (this.active[activity]) return;
+        const entry = Object.assign({ activity, start: Date.now(), duration: 0 }, details);
+        const session = { entry, pending: Promise.resolve(), tempoBeats: 0, tempoSeconds: 0 };
+        session.timer = setInterval(() => this.flush(activity), this.flushInterval);
+        this.active[activity] = session;
+        this.queue(session, () => this.save(entry));
+    }
+
+    // Saves a running session so a closed tab loses at most flushInterval
+    flush(activity, endTime = Date.now()) {
+        const session = this.active[activity];
+        if (!session) return;
+        session.entry.duration = Math.round((endTime - session.entry.start) / 1000);
+        this.queue(session, () => this.save(session.entry));
+    }
+
+    end(activity, endTime = Date.now()) {
+        const session = this.active[activity];
+        if (!session) return;
+        delete this.active[activity];
+        clearInterval(session.timer);
+        clearTimeout(session.idleTimer);
+
+        const entry = session.entry;
+        entry.duration = Math.round((endTime - entry.start) / 1000);
+        const done = entry.duration < this.minDuration
+            ? this.queue(session, () => this.remove(entry))
+            : this.queue(session, () => this.save(entry));
+        done.then(() => {
+            if (this.onChange) this.onChange();
+        });
+    }
+
+    endAll() {
+        Object.keys(this.active).forEach(activity => this.end(activity));
+    }
+
+    // Keeps a browsing activity going; it ends a little after the last interaction
+    touch(activity) {
+        this.begin(activity);
+        const session = this.active[activity];
+        session.lastTouch = Date.now();
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => {
+            this.end(activity, Math.min(Date.now(), session.lastTouch + this.touchGrace));
+        }, this.idleTimeout);
+    }
+
+    // Called for each metronome beat; keeps the average and top tempo of the session
+    recordTempo(bpm) {
+        const session = this.active.metronome;
+        if (!session) return;
+        session.tempoBeats++;
+        session.tempoSeconds += 60 / bpm;
+        session.entry.bpm = Math.round(session.tempoBeats * 60 / session.tempoSeconds);
+        session.entry.maxBpm = Math.max(session.entry.maxBpm || 0, bpm);
+    }
+
+    // Writes for one session run in order, so the first save's id is reused
+    queue(session, task) {
+        session.pending = session.pending.then(task).catch(err => console.error("Practice log error:", err));
+        return session.pending;
+    }
+
+    /**
+     * Summarizes sessions for display. Overlapping sessions (e.g. metronome and a
+     * progression) count once toward practice time.
+     * Returns { today, week, streak, days, weeks, activities, tempo }; times in seconds.
+     */
+    getStats(sessions, now = Date.now()) {
+        const perDay = {};
+        const intervals = sessions
+            .map(session => [session.start, session.start + session.duration * 1000])
+            .sort((a, b) => a[0] - b[0]);
+
+        let current = null;
+        const addInterval = ([start, end]) => {
+            const key = dayKey(start);
+            perDay[key] = (perDay[key] || 0) + (end - start) / 1000;
+        };
+        intervals.forEach((interval) => {
+            if (current && interval[0] <= current[1]) {
+                current[1] = Math.max(current[1], interval[1]);
+            } else {
+                if (current) addInterval(current);
+                current = interval.slice();
+            }
+        });
+        if (current) addInterval(current);
+
+        const dayMs = 86400000;
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+        const dayStart = offset => new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset).getTime();
+
+        // Last 7 days, oldest first
+        const days = [];
+        for (let offset = -6; offset <= 0; offset++) {
+            const start = dayStart(offset);
+            days.push({ date: start, seconds: perDay[dayKey(start)] || 0 });
+        }
+
+        // Calendar weeks starting Monday, current week first
+        const weekday = (today.getDay() + 6) % 7;
+        const weeks = [];
+        for (let week = 0; week < 4; week++) {
+            const start = dayStart(-weekday - week * 7);
+            let seconds = 0;
+            for (let day = 0; day < 7; day++) seconds += perDay[dayKey(start + day * dayMs + dayMs / 2)] || 0;
+            weeks.push({ start, seconds });
+        }
+
+        // A streak counts back from today, or from yesterday if today hasn't started yet
+        let streak = 0;
+        let offset = (perDay[dayKey(now)] || 0) >= 60 ? 0 : -1;
+        while ((perDay[dayKey(dayStart(offset))] || 0) >= 60) {
+            streak++;
+            offset--;
+        }
+
+        const weekStart = weeks[0].start;
+        const activities = {};
+        sessions.filter(session => session.start >= weekStart).forEach((session) => {
+            activities[session.activity] = (activities[session.activity] || 0) + session.duration;
+        });
+
+        // Top metronome tempo per day over the last 30 days
+        const tempoByDay = {};
+        sessions
+            .filter(session => session.activity === "metronome" && session.duration >= 60 && session.start >= dayStart(-29))
+            .forEach((session) => {
+                const key = dayKey(session.start);
+                const bpm = session.maxBpm || session.bpm;
+                if (bpm && (!tempoByDay[key] || bpm > tempoByDay[key].bpm)) {
+                    tempoByDay[key] = { date: session.start, bpm };
+                }
+            });
+        const tempo = Object.values(tempoByDay).sort((a, b) => a.date - b.date);
+
+        return {
+            today: perDay[dayKey(now)] || 0,
+            week: weeks[0].seconds,
+            streak,
+            days,
+            weeks,
+            activities,
+            tempo
+        };
+    }
+
+    async exportJSON() {
+        const sessions = await this.getAll();
+        return JSON.stringify({
+            app: "guitar-app-practice-log",
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            sessions: sessions.map((session) => {
+                const copy = Object.assign({}, session);
+                delete copy.id;
+                return copy;
+            })
+        }, null, 2);
+    }
+
+    // Adds sessions from an export, skipping ones already logged; resolves with the number added
+    async importJSON(text) {
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.sessions)) throw new Error("Not a practice log export");
+
+        const existing = new Set((await this.getAll()).map(session => `${session.activity}:${session.start}`));
+        const valid = data.sessions.filter(session =>
+            session && practiceActivities[session.activity]
+            && Number.isFinite(session.start) && Number.isFinite(session.duration) && session.duration >= 0);
+
+        let added = 0;
+        for (const session of valid) {
+            const key = `${session.activity}:${session.start}`;
+            if (existing.has(key)) continue;
+            existing.add(key);
+            const entry = Object.assign({}, session);
+            delete entry.id;
+            // Drop details the charts can't use, e.g. a hand-edited "bpm": "fast"
+            ["bpm", "maxBpm", "score", "notes", "offset"].forEach((key) => {
+                const isTempo = key === "bpm" || key === "maxBpm";
+                const valid = Number.isFinite(entry[key]) && (!isTempo || entry[key] > 0);
+                if (key in entry && !valid) delete entry[key];
+            });
+            await this.save(entry);
+            added++;
+        }
+        if (this.onChange) this.onChange();
+        return added;
+    }
+}
+
+// --- ChordPro ---
+// Parses ChordPro song sheets: [G] chords inline with lyrics, {directives}
+// for metadata and sections, # comment lines.
+const ChordPro = {
+    /**
+     * Returns { title, subtitle, artist, key, capo, tempo, lines, chords }.
+     * lines are { type: "lyrics", segments: [{ chord, text }], chorus },
+     * { type: "section", name }, { type: "comment", text }, { type: "tab", text }
+     * or { type: "empty" }; chords lists each chord name once, in order of use.
+     */
+    parse(text) {
+        const song = { title: "", subtitle: "", artist: "", key: "", capo: 0, tempo: null, lines: [], chords: [] };
+        let inChorus = false;
+        let inTab = false;
+
+        text.split(/\r?\n/).forEach((raw) => {
+            const line = raw.replace(/\s+$/, "");
+            if (!inTab && line.trim().startsWith("#")) return;
+
+            const directive = /^\s*\{\s*([^}:]+?)\s*(?::\s*([^}]*))?\}\s*$/.exec(line);
+            if (directive) {
+                this.applyDirective(song, directive[1].toLowerCase(), (directive[2] || "").trim(), {
+                    startChorus: () => { inChorus = true; },
+                    endSection: () => { inChorus = false; },
+                    startTab: () => { inTab = true; },
+                    endTab: () => { inTab = false; }
+                });
+                return;
+            }
+
+            if (inTab) {
+                song.lines.push({ type: "tab", text: line });
+            } else if (!line.trim()) {
+                song.lines.push({ type: "empty" });
+            } else {
+                song.lines.push({ type: "lyrics", segments: this.parseLyrics(line, song.chords), chorus: inChorus });
+            }
+        });
+
+        return song;
+    },
+
+    applyDirective(song, name, value, state) {
+        switch (name) {
+            case "title": case "t": song.title = value; break;
+            case "subtitle": case "st": song.subtitle = value; break;
+            case "artist": song.artist = value; break;
+            case "key": song.key = value; break;
+            case "capo": song.capo = Math.max(0, parseInt(value) || 0); break;
+            case "tempo": song.tempo = parseFloat(value) || null; break;
+            case "comment": case "c": case "comment_italic": case "ci": case "comment_box": case "cb":
+                song.lines.push({ type: "comment", text: value });
+                break;
+            case "start_of_chorus": case "soc":
+                song.lines.push({ type: "section", name: value || "Chorus" });
+                state.startChorus();
+                break;
+            case "start_of_verse": case "sov":
+                song.lines.push({ type: "section", name: value || "Verse" });
+                break;
+            case "start_of_bridge": case "sob":
+                song.lines.push({ type: "section", name: value || "Bridge" });
+                break;
+            case "end_of_chorus": case "eoc": case "end_of_verse": case "eov": case "end_of_bridge": case "eob":
+                state.endSection();
+                break;
+            case "start_of_tab": case "sot": state.startTab(); break;
+            case "end_of_tab": case "eot": state.endTab(); break;
+            case "chorus":
+                song.lines.push({ type: "comment", text: value || "Chorus" });
+                break;
+            default:
+                break; // Other directives (define, columns, ...) don't affect this view
+        }
+    },
+
+    // "[G]Hello [D]world" -> [{ chord: "G", text: "Hello " }, { chord: "D", text: "world" }]
+    parseLyrics(line, chords) {
+        const segments = [];
+        const parts = line.split(/\[([^\]]*)\]/);
+        if (parts[0]) segments.push({ chord: null, text: parts[0] });
+        for (let i = 1; i < parts.length; i += 2) {
+            const chord = parts[i].trim();
+            if (chord && !chords.includes(chord)) chords.push(chord);
+            segments.push({ chord: chord || null, text: parts[i + 1] || "" });
+        }
+        return segments;
+    },
+
+    // Spells ♭ and ♯ as b and #, so "B♭" and "Bb" are the same chord
+    normalizeName(name) {
+        return name.replace(/♭/g, "b").replace(/♯/g, "#");
+    },
+
+    // Symbols that mean "no chord here" rather than an unknown chord
+    isNoChord(name) {
+        return /^(N\.?C\.?|-|x|%)$/i.test(name);
+    }
+};
+
+// --- Time Stretch ---
+// Runs TimeStretch.wsola (time-stretch.js) in a Web Worker, or on the main thread
+// where workers are unavailable (e.g. pages opened from file://).
+class TimeStretcher {
+    constructor() {
+        this.worker = null;
+        this.workerFailed = false;
+        this.requests = new Map(); // id -> { resolve, samples, rate, sampleRate }
+        this.nextId = 0;
+    }
+
+    // Resolves with the samples played `rate` times as fast
+    stretch(samples, rate, sampleRate) {
+        if (rate === 1) return Promise.resolve(samples);
+        const worker = this.getWorker();
+        if (!worker) return Promise.resolve(TimeStretch.wsola(samples, rate, sampleRate));
+
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            this.requests.set(id, { resolve, samples, rate, sampleRate });
+            worker.postMessage({ id, samples, rate, sampleRate });
+        });
+    }
+
+    getWorker() {
+        if (this.worker || this.workerFailed || typeof Worker === "undefined") return this.worker;
+        try {
+            this.worker = new Worker("stretch-worker.js");
+            this.worker.onmessage = (e) => {
+                const request = this.requests.get(e.data.id);
+                this.requests.delete(e.data.id);
+                if (request) request.resolve(e.data.samples);
+            };
+            this.worker.onerror = (e) => {
+                console.warn("Time stretch worker unavailable, stretching on the main thread:", e.message);
+                this.useMainThread();
+            };
+        } catch (err) {
+            console.warn("Time stretch worker unavailable, stretching on the main thread:", err);
+            this.useMainThread();
+        }
+        return this.worker;
+    }
+
+    // Finishes anything the worker still had here instead
+    useMainThread() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.workerFailed = true;
+        this.requests.forEach(({ resolve, samples, rate, sampleRate }) => resolve(TimeStretch.wsola(samples, rate, sampleRate)));
+        this.requests.clear();
+    }
+}
+
+// --- WAV Export ---
+// 16-bit PCM mono WAV file from float samples
+function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true);             // Format chunk size
+    view.setUint16(20, 1, true);              // PCM
+    view.setUint16(22, 1, true);              // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // Byte rate
+    view.setUint16(32, 2, true);              // Block align
+    view.setUint16(34, 16, true);             // Bits per sample
+    writeString(36, "data");
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+    return new Blob([buffer], { type: "audio/wav" });
+}
+
+// --- Recorder ---
+// Captures the shared microphone into timestamped chunks. Uses an AudioWorklet
+// where available and a ScriptProcessor otherwise (e.g. pages opened from file://).
+class Recorder {
+    constructor() {
+        this.source = null;
+        this.node = null;
+        this.chunks = [];          // [{ time (context seconds of first sample), samples }]
+        this.workletLoaded = null;
+    }
+
+    // Records the microphone, or another node's output when given one
+    async open(input = null) {
+        const ctx = getAudioContext();
+        await ctx.resume();
+        this.usesMicrophone = !input;
+        this.source = input || await microphone.acquire();
+        this.chunks = [];
+
+        try {
+            if (!this.workletLoaded) this.workletLoaded = ctx.audioWorklet.addModule("recorder-worklet.js");
+            await this.workletLoaded;
+            this.node = new AudioWorkletNode(ctx, "recorder-processor");
+            this.node.port.onmessage = (e) => {
+                this.chunks.push({ time: e.data.frame / ctx.sampleRate, samples: e.data.samples });
+            };
+        } catch (err) {
+            console.warn("Recorder worklet unavailable, using a ScriptProcessor:", err);
+            this.workletLoaded = null;
+            this.node = ctx.createScriptProcessor(2048, 1, 1);
+            this.node.onaudioprocess = (e) => {
+                const samples = e.inputBuffer.getChannelData(0).slice();
+                this.chunks.push({ time: e.playbackTime - samples.length / ctx.sampleRate, samples });
+            };
+        }
+
+        // Capture nodes only run while connected through to the output; keep them silent
+        this.mute = ctx.createGain();
+        this.mute.gain.value = 0;
+        this.source.connect(this.node);
+        this.node.connect(this.mute);
+        this.mute.connect(ctx.destination);
+    }
+
+    close() {
+        if (!this.source) return;
+        this.source.disconnect(this.node);
+        this.node.disconnect();
+        this.mute.disconnect();
+        this.source = null;
+        this.node = null;
+        this.chunks = [];
+        if (this.usesMicrophone) microphone.release();
+    }
+
+    // Seconds of audio captured up to, in context time
+    get capturedUntil() {
+        const last = this.chunks[this.chunks.length - 1];
+        return last ? last.time + last.samples.length / getAudioContext().sampleRate : 0;
+    }
+
+    // Copies [startTime, startTime + duration) out of the captured chunks; gaps stay silent
+    extract(startTime, duration) {
+        const sampleRate = getAudioContext().sampleRate;
+        const output = new Float32Array(Math.round(duration * sampleRate));
+        this.chunks.forEach((chunk) => {
+            const offset = Math.round((chunk.time - startTime) * sampleRate);
+            for (let i = Math.max(0, -offset); i < chunk.samples.length && offset + i < output.length; i++) {
+                output[offset + i] = chunk.samples[i];
+            }
+        });
+        return output;
+    }
+
+    // Drops chunks that end before a time, to bound memory during long sessions
+    discardBefore(time) {
+        const sampleRate = getAudioContext().sampleRate;
+        this.chunks = this.chunks.filter(chunk => chunk.time + chunk.samples.length / sampleRate >= time);
+    }
+}
+
+// --- Looper ---
+// Records loops a whole number of bars long on the metronome clock, layers
+// overdubs on top, and plays the mix back at 50-100% speed without a pitch change.
+class Looper {
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.recorder = new Recorder();
+        this.stretcher = new TimeStretcher();
+        this.layers = [];             // [{ samples, gain, muted, stretch: { speed, samples, ready } }]
+        this.bars = 2;
+        this.countInBars = 1;
+        this.speed = 1;
+        this.bpm = null;              // Tempo the first layer was recorded at
+        this.loopDuration = 0;        // Seconds at full speed
+        this.state = "idle";          // "idle", "opening", "waiting", "counting", "recording"
+        this.isPlaying = false;
+        this.source = null;
+        this.playStart = 0;           // Context time the current loop buffer started
+        this.playDuration = 0;        // Seconds per loop at the current speed
+        this.playRequest = 0;         // Bumped to cancel a start still waiting for the stretch
+        this.onBeat = (event) => this.handleBeat(event);
+
+        // Sound reaches the player late and their playing reaches us late;
+        // recordings are shifted earlier by this much (seconds)
+        this.latency = null;
+    }
+
+    getLatency() {
+        if (this.latency !== null) return this.latency;
+        if (!audioContext) return 0; // Nothing has played yet
+        return (audioContext.baseLatency || 0) + (audioContext.outputLatency || 0);
+    }
+
+    // Starts a new loop (first take, on the metronome after a count-in) or an overdub (at the next loop start)
+    async record() {
+        if (this.state !== "idle") return;
+        // "opening" until the microphone prompt is answered, so a second click can't open it twice
+        this.state = "opening";
+        this.notify();
+        await this.recorder.open();
+
+        if (this.layers.length) {
+            if (!this.isPlaying) await this.play();
+            const ctx = getAudioContext();
+            const elapsed = ctx.currentTime + 0.05 - this.playStart;
+            const start = this.playStart + Math.ceil(elapsed / this.playDuration) * this.playDuration;
+            this.beginCapture(start, this.loopDuration);
+            return;
+        }
+
+        this.state = "waiting";
+        this.countInRemaining = this.countInBars * metronome.beatsInBar;
+        metronome.addBeatListener(this.onBeat);
+        this.notify();
+    }
+
+    // Takes start on a downbeat, after the count-in bars
+    handleBeat({ beat, time, bpm }) {
+        if (this.state === "waiting") {
+            if (beat !== 0) return;
+            this.state = "counting";
+        }
+        if (this.countInRemaining > 0) {
+            const remaining = this.countInRemaining--;
+            metronome.scheduleVisual(time, () => this.notify({ countIn: remaining }));
+            return;
+        }
+
+        metronome.removeBeatListener(this.onBeat);
+        this.bpm = bpm;
+        this.loopDuration = this.bars * metronome.beatsInBar * 60 / bpm;
+        this.beginCapture(time, this.loopDuration);
+    }
+
+    beginCapture(start, duration) {
+        const ctx = getAudioContext();
+        this.state = "waiting";
+        this.captureStart = start;
+        this.captureEnd = start + duration;
+        this.recorder.discardBefore(start - 1);
+        this.notify();
+        metronome.scheduleVisual(start, () => {
+            if (this.state !== "waiting") return;
+            this.state = "recording";
+            this.notify();
+        });
+
+        const latency = this.getLatency();
+        const wait = (this.captureEnd + latency - ctx.currentTime) * 1000 + 150;
+        this.captureTimer = setTimeout(() => this.finishCapture(), Math.max(0, wait));
+    }
+
+    finishCapture() {
+        const ctx = getAudioContext();
+        const latency = this.getLatency();
+
+        // Wait for the last block of input to arrive
+        if (this.recorder.capturedUntil < this.captureEnd + latency) {
+            this.captureTimer = setTimeout(() => this.finishCapture(), 50);
+            return;
+        }
+
+        const samples = this.recorder.extract(this.captureStart + latency, this.captureEnd - this.captureStart);
+        this.recorder.close();
+        this.state = "idle";
+        this.layers.push({ samples, gain: 1, muted: false, stretch: null });
+
+        if (this.isPlaying) {
+            this.refreshPlayback();
+        } else {
+            // Carry straight on into the loop from where the take ended
+            this.play(this.captureEnd);
+        }
+        this.notify();
+    }
+
+    cancelRecording() {
+        if (this.state === "idle") return;
+        clearTimeout(this.captureTimer);
+        metronome.removeBeatListener(this.onBeat);
+        this.recorder.close();
+        this.state = "idle";
+        this.notify();
+    }
+
+    /**
+     * Stretches every layer not yet at the current speed and keeps the result,
+     * so changing a layer's volume or mute only needs a new mix. The stretch
+     * runs in a worker: on the main thread it would hold up the metronome.
+     */
+    async prepare() {
+        const sampleRate = getAudioContext().sampleRate;
+        const isReady = layer => layer.stretch && layer.stretch.speed === this.speed && layer.stretch.samples;
+
+        // Goes round again if the speed changed or a take was added while waiting
+        while (!this.layers.every(isReady)) {
+            await Promise.all(this.layers.map((layer) => {
+                if (!layer.stretch || layer.stretch.speed !== this.speed) {
+                    const stretch = { speed: this.speed, samples: null };
+                    stretch.ready = this.stretcher.stretch(layer.samples, this.speed, sampleRate)
+                        .then((samples) => { stretch.samples = samples; });
+                    layer.stretch = stretch;
+                }
+                return layer.stretch.ready;
+            }));
+        }
+    }
+
+    // The mix of unmuted layers at the current speed; call prepare() first
+    mixdown() {
+        const length = this.layers.length ? this.layers[0].stretch.samples.length : 0;
+        const mix = new Float32Array(length);
+        this.layers.forEach((layer) => {
+            if (layer.muted) return;
+            const samples = layer.stretch.samples;
+            for (let i = 0; i < length; i++) mix[i] += samples[i] * layer.gain;
+        });
+        return mix;
+    }
+
+    startPlayback(time, offset) {
+        if (!this.layers.length) return;
+        const ctx = getAudioContext();
+        const samples = this.mixdown();
+        const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+        buffer.getChannelData(0).set(samples);
+
+        if (this.source) this.source.stop();
+        this.source = ctx.createBufferSource();
+        this.source.buffer = buffer;
+        this.source.loop = true;
+        this.source.connect(ctx.destination);
+
+        // Start late rather than in the past, keeping the loop phase
+        const now = ctx.currentTime;
+        const start = Math.max(time, now);
+        this.playDuration = samples.length / ctx.sampleRate;
+        const phase = (offset + (start - time)) % this.playDuration;
+        this.source.start(start, phase);
+        this.playStart = start - phase;
+        this.isPlaying = true;
+        this.notify();
+    }
+
+    // Rebuilds the loop after a layer or speed change without losing its place
+    async refreshPlayback() {
+        if (!this.isPlaying) return;
+        const request = ++this.playRequest;
+        await this.prepare();
+        if (request !== this.playRequest || !this.isPlaying) return;
+
+        const ctx = getAudioContext();
+        const position = ((ctx.currentTime - this.playStart) % this.playDuration) / this.playDuration;
+        this.startPlayback(ctx.currentTime, position * this.loopDuration / this.speed);
+    }
+
+    // Starts the loop at a context time (soon, by default) once the layers are ready
+    async play(time = getAudioContext().currentTime + 0.05) {
+        const request = ++this.playRequest;
+        await this.prepare();
+        if (request === this.playRequest) this.startPlayback(time, 0);
+    }
+
+    stop() {
+        this.playRequest++;
+        if (this.source) this.source.stop();
+        this.source = null;
+        this.isPlaying = false;
+        this.notify();
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0.5, Math.min(1, speed));
+        this.refreshPlayback();
+    }
+
+    updateLayer(index, changes) {
+        Object.assign(this.layers[index], changes);
+        this.notify();
+        this.refreshPlayback();
+    }
+
+    removeLayer(index) {
+        this.layers.splice(index, 1);
+        if (!this.layers.length) {
+            this.clear();
+            return;
+        }
+        this.notify();
+        this.refreshPlayback();
+    }
+
+    clear() {
+        this.cancelRecording();
+        this.stop();
+        this.layers = [];
+        this.bpm = null;
+        this.loopDuration = 0;
+        this.notify();
+    }
+
+    async exportWav() {
+        await this.prepare();
+        return encodeWav(this.mixdown(), getAudioContext().sampleRate);
+    }
+
+    notify(extra = {}) {
+        if (this.onChange) this.onChange(Object.assign({ state: this.state, isPlaying: this.isPlaying }, extra));
+    }
+}
+
+// --- Timing Analysis ---
+// Finds note attacks in a stream of samples: a jump in the energy of the
+// sample-to-sample difference (which favours the click of a pick or a
+// strike) well above the recent background level.
+class OnsetDetector {
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.options = Object.assign({
+            hop: 128,            // Samples per energy frame
+            ratio: 8,            // Energy over background that counts as an attack
+            minEnergy: 1e-5,     // Ignore attacks quieter than this
+            refractory: 0.08     // Seconds after an onset before another can start
+        }, options);
+        this.reset();
+    }
+
+    reset() {
+        this.background = 0;
+        this.lastOnset = -Infinity;
+        this.previousSample = 0;
+    }
+
+    // Returns the context times of any onsets in a block of samples starting at startTime
+    process(samples, startTime) {
+        const { hop, ratio, minEnergy, refractory } = this.options;
+        const onsets = [];
+        const diff = new Float32Array(hop);
+
+        for (let start = 0; start + hop <= samples.length; start += hop) {
+            let energy = 0;
+            let peak = 0;
+            for (let i = 0; i < hop; i++) {
+                const value = samples[start + i] - (start + i > 0 ? samples[start + i - 1] : this.previousSample);
+                diff[i] = Math.abs(value);
+                energy += value * value;
+                peak = Math.max(peak, diff[i]);
+            }
+            energy /= hop;
+
+            const time = startTime + start / this.sampleRate;
+            if (energy > minEnergy && energy > this.background * ratio && time - this.lastOnset > refractory) {
+                // The attack begins where the difference first gets near its peak
+                let first = 0;
+                while (first < hop - 1 && diff[first] < peak * 0.3) first++;
+                const onset = time + first / this.sampleRate;
+                onsets.push(onset);
+                this.lastOnset = onset;
+                this.background = Math.max(this.background, energy / ratio);
+            } else {
+                this.background = this.background * 0.97 + energy * 0.03;
+            }
+        }
+
+        this.previousSample = samples[samples.length - 1];
+        return onsets;
+    }
+}
+
+/**
+ * Grades playing against the metronome: onsets heard through the microphone
+ * are matched to the nearest scheduled beat or subdivision and reported as
+ * milliseconds early (negative) or late (positive), after subtracting the
+ * calibrated round-trip latency of speakers and microphone. The metronome's
+ * own clicks are subtracted from the microphone first, so only the playing
+ * is graded, however close to the click it lands.
+ */
+class TimingAnalyzer {
+    constructor(onHit) {
+        this.onHit = onHit;
+        this.storageKey = "guitarApp.latency";
+        this.recorder = new Recorder();
+        this.reference = new Recorder(); // What the metronome sent to the speakers
+        this.isRunning = false;
+        this.targets = [];       // Scheduled pulses: [{ time, beat, pulse, interval }]
+        this.hits = [];          // [{ time, error (ms), beat, pulse }]
+        this.latency = null;     // Seconds, once calibrated
+        this.echoSearch = 0.002; // Seconds either side of the latency to line the click up in
+        this.onBeat = (event) => this.addTargets(event);
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = parseFloat(localStorage.getItem(this.storageKey));
+            if (saved >= 0 && saved < 1) this.latency = saved;
+        } catch (err) {
+            console.warn("Could not load latency calibration:", err);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, String(this.latency));
+        } catch (err) {
+            console.warn("Could not save latency calibration:", err);
+        }
+    }
+
+    // The calibrated latency, or the browser's estimate of the output side
+    getLatency() {
+        if (this.latency !== null) return this.latency;
+        if (!audioContext) return 0; // Nothing has played yet
+        return (audioContext.baseLatency || 0) + (audioContext.outputLatency || 0);
+    }
+
+    async start() {
+        if (this.isRunning) return;
+        await this.recorder.open();
+        try {
+            await this.reference.open(metronome.getOutput());
+        } catch (err) {
+            this.recorder.close();
+            throw err;
+        }
+        this.detector = new OnsetDetector(getAudioContext().sampleRate);
+        this.targets = [];
+        this.hits = [];
+        this.chunkIndex = 0;
+        this.isRunning = true;
+        metronome.addBeatListener(this.onBeat);
+        this.intervalID = setInterval(() => this.poll(), 50);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        clearInterval(this.intervalID);
+        metronome.removeBeatListener(this.onBeat);
+        this.recorder.close();
+        this.reference.close();
+    }
+
+    addTargets({ beat, pulseTimes }) {
+        pulseTimes.forEach((time, pulse) => {
+            const next = pulseTimes[pulse + 1];
+            const interval = next !== undefined ? next - time : 60 / metronome.bpm / pulseTimes.length;
+            this.targets.push({ time, beat, pulse, interval });
+        });
+    }
+
+    poll() {
+        const chunks = this.recorder.chunks;
+        for (; this.chunkIndex < chunks.length; this.chunkIndex++) {
+            const chunk = chunks[this.chunkIndex];
+            const samples = this.removeClicks(chunk.samples, chunk.time);
+            this.detector.process(samples, chunk.time).forEach(onset => this.match(onset));
+        }
+
+        // Keep the last couple of seconds only
+        const horizon = getAudioContext().currentTime - 2;
+        const before = chunks.length;
+        this.recorder.discardBefore(horizon);
+        this.reference.discardBefore(horizon);
+        this.chunkIndex -= before - this.recorder.chunks.length;
+        this.targets = this.targets.filter(target => target.time > horizon - 1);
+    }
+
+    /**
+     * The microphone samples starting at time with the metronome taken out: what
+     * it played one latency earlier, lined up to the sample within echoSearch and
+     * scaled to how loud the microphone hears it (least squares), is subtracted.
+     */
+    removeClicks(samples, time) {
+        const sampleRate = getAudioContext().sampleRate;
+        const search = Math.round(this.echoSearch * sampleRate);
+        const length = samples.length;
+        const reference = this.reference.extract(time - this.getLatency() - search / sampleRate, (length + 2 * search) / sampleRate);
+        if (!reference.some(value => value !== 0)) return samples;
+
+        let best = null;
+        for (let lag = 0; lag <= 2 * search; lag++) {
+            let dot = 0;
+            let power = 0;
+            for (let i = 0; i < length; i++) {
+                dot += samples[i] * reference[lag + i];
+                power += reference[lag + i] * reference[lag + i];
+            }
+            // dot² / power is how much energy subtracting at this lag takes away
+            const removed = power > 0 && dot > 0 ? dot * dot / power : 0;
+            if (!best || removed > best.removed) best = { lag, removed, gain: power > 0 ? dot / power : 0 };
+        }
+        if (!best.removed) return samples;
+
+        const cleaned = new Float32Array(length);
+        for (let i = 0; i < length; i++) cleaned[i] = samples[i] - best.gain * reference[best.lag + i];
+        return cleaned;
+    }
+
+    match(onset) {
+        const played = onset - this.getLatency();
+        let nearest = null;
+        this.targets.forEach((target) => {
+            if (!nearest || Math.abs(target.time - played) < Math.abs(nearest.time - played)) nearest = target;
+        });
+        // Too far from any pulse to be an attempt at one (e.g. a ringing chord)
+        if (!nearest || Math.abs(nearest.time - played) > nearest.interval * 0.45) return;
+
+        const hit = { time: played, error: (played - nearest.time) * 1000, beat: nearest.beat, pulse: nearest.pulse };
+        this.hits.push(hit);
+        this.onHit(hit);
+    }
+
+    /**
+     * Session summary: { count, meanOffset (ms, + = late), meanAbsolute, spread, score 0-100 }.
+     * The tightness score falls from 100 to 0 as the average miss grows to 50 ms.
+     */
+    getSummary(hits = this.hits) {
+        if (!hits.length) return { count: 0, meanOffset: 0, meanAbsolute: 0, spread: 0, score: 0 };
+        const errors = hits.map(hit => hit.error);
+        const mean = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+        const meanAbsolute = errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length;
+        const spread = Math.sqrt(errors.reduce((sum, e) => sum + (e - mean) * (e - mean), 0) / errors.length);
+        return {
+            count: hits.length,
+            meanOffset: mean,
+            meanAbsolute,
+            spread,
+            score: Math.round(100 * Math.max(0, 1 - meanAbsolute / 50))
+        };
+    }
+
+    /**
+     * Measures the round trip from speakers to microphone: plays eight clicks
+     * and times when each is heard. Resolves with the latency in seconds.
+     */
+    async calibrate() {
+        const ctx = getAudioContext();
+        await this.recorder.open();
+        const detector = new OnsetDetector(ctx.sampleRate, { ratio: 6 });
+        const clicks = [];
+        const first = ctx.currentTime + 0.6;
+        for (let i = 0; i < 8; i++) {
+            const time = first + i * 0.5;
+            clicks.push(time);
+            clickVoices.woodblock.play(ctx, ctx.destination, time, { isBeat: true, level: "accent", gain: 1 });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, (first + 4.2 - ctx.currentTime) * 1000));
+        const onsets = [];
+        this.recorder.chunks.forEach((chunk) => {
+            onsets.push(...detector.process(chunk.samples, chunk.time));
+        });
+        this.recorder.close();
+
+        // Each click's delay is the first onset up to 300 ms after it
+        const delays = [];
+        clicks.forEach((click) => {
+            const heard = onsets.find(onset => onset >= click && onset - click < 0.3);
+            if (heard !== undefined) delays.push(heard - click);
+        });
+        if (delays.length < 5) throw new Error("Couldn't hear enough of the calibration clicks");
+
+        this.latency = PitchDetection.median(delays);
+        this.save();
+        return this.latency;
+    }
+}
+
+// --- Shortcuts & MIDI ---
+// Hands-free controls, shared by the keyboard and a MIDI foot controller.
+// keys are KeyboardEvent.key values in lower case; run() gets true for a
+// bigger step (Shift held).
+const controlActions = [
+    { id: "metronome", name: "Start/stop metronome", keys: ["m"], label: "M", run: () => {
+        ui.toggleMetronome();
+        ui.announce(ui.isMetronomeRunning ? `Metronome started at ${metronome.bpm} BPM` : "Metronome stopped");
+    } },
+    { id: "tuner", name: "Start/stop tuner", keys: ["u"], label: "U", run: () => {
+        ui.toggleTuner();
+        ui.announce(ui.isTunerRunning ? "Tuner started" : "Tuner stopped");
+    } },
+    { id: "tap-tempo", name: "Tap tempo", keys: ["t"], label: "T", run: () => ui.tapTempo() },
+    { id: "bpm-up", name: "Tempo up", keys: ["=", "+"], label: "= (Shift: 5)", repeat: true, run: big => ui.nudgeBpm(big ? 5 : 1) },
+    { id: "bpm-down", name: "Tempo down", keys: ["-", "_"], label: "− (Shift: 5)", repeat: true, run: big => ui.nudgeBpm(big ? -5 : -1) },
+    { id: "chord-next", name: "Next chord", keys: ["]"], label: "]", run: () => ui.stepChord(1) },
+    { id: "chord-prev", name: "Previous chord", keys: ["["], label: "[", run: () => ui.stepChord(-1) },
+    { id: "chord-play", name: "Play chord", keys: ["p"], label: "P", run: () => ui.playChordBtn.click() }
+];
+
+/**
+ * Web MIDI input for foot controllers. Any program change or control change
+ * can be bound to a control action with learn(); bindings are saved in the
+ * settings store as { actionId: "pc:3" | "cc:64" } on any channel.
+ */
+class MidiControl {
+    constructor(onAction, onChange) {
+        this.onAction = onAction;
+        this.onChange = onChange;
+        this.access = null;
+        this.bindings = Object.assign({}, settings.get("midiBindings", {}));
+        this.learning = null;    // Action waiting for its pedal
+        this.ccValues = {};      // Last value of each CC, to spot presses
+    }
+
+    get isSupported() {
+        return !!navigator.requestMIDIAccess;
+    }
+
+    get inputNames() {
+        return this.access ? Array.from(this.access.inputs.values()).map(input => input.name) : [];
+    }
+
+    async enable() {
+        if (this.access) return;
+        this.access = await navigator.requestMIDIAccess();
+        this.access.onstatechange = () => this.connectInputs();
+        this.connectInputs();
+    }
+
+    connectInputs() {
+        this.access.inputs.forEach((input) => {
+            input.onmidimessage = e => this.handleMessage(e.data);
+        });
+        this.notify();
+    }
+
+    // A binding id for a message, or null. Pedals send a CC of 127 when pressed
+    // and 0 when released, so a CC only counts as it crosses 64 upward.
+    parseMessage(data) {
+        const type = data[0] & 0xf0;
+        if (type === 0xc0) return `pc:${data[1]}`;
+        if (type !== 0xb0) return null;
+
+        const binding = `cc:${data[1]}`;
+        const previous = this.ccValues[binding] || 0;
+        this.ccValues[binding] = data[2];
+        return data[2] >= 64 && previous < 64 ? binding : null;
+    }
+
+    handleMessage(data) {
+        const binding = this.parseMessage(data);
+        if (!binding) return;
+
+        if (this.learning) {
+            // A pedal drives one action at a time
+            Object.keys(this.bindings).forEach((id) => {
+                if (this.bindings[id] === binding) delete this.bindings[id];
+            });
+            this.bindings[this.learning] = binding;
+            this.learning = null;
+            this.save();
+            return;
+        }
+
+        const actionId = Object.keys(this.bindings).find(id => this.bindings[id] === binding);
+        if (actionId) this.onAction(actionId);
+    }
+
+    learn(actionId) {
+        this.learning = this.learning === actionId ? null : actionId;
+        this.notify();
+    }
+
+    unbind(actionId) {
+        delete this.bindings[actionId];
+        this.save();
+    }
+
+    save() {
+        settings.set("midiBindings", this.bindings);
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    // "PC 3" or "CC 64"
+    describe(binding) {
+        const [type, number] = binding.split(":");
+        return `${type.toUpperCase()} ${number}`;
+    }
+}
+
+// --- UI Controller ---
+const ui = {
+    // Tuner Elements
+    startTunerBtn: document.getElementById('start-tuner-btn'),
+    tunerStatus: document.getElementById('tuner-status'),
+    noteName: document.getElementById('note-name'),
+    freqDisplay: document.getElementById('frequency-display'),
+    gaugeNeedle: document.getElementById('gauge-needle'),
+    gaugeContainer: document.getElementById('gauge-container'),
+    strobeCanvas: document.getElementById('strobe-canvas'),
+    graphCanvas: document.getElementById('graph-canvas'),
+    displayModeBtns: document.querySelectorAll('.display-mode-btn'),
+    tunerDisplay: document.getElementById('tuner-display'),
+    strumCheckBtn: document.getElementById('strum-check-btn'),
+    strumCheckView: document.getElementById('strum-check'),
+    tuningSelect: document.getElementById('tuning-select'),
+    stringSelector: document.getElementById('string-selector'),
+    tunerTarget: document.getElementById('tuner-target'),
+    customTuningName: document.getElementById('custom-tuning-name'),
+    customTuningNotes: document.getElementById('custom-tuning-notes'),
+    saveTuningBtn: document.getElementById('save-tuning-btn'),
+    deleteTuningBtn: document.getElementById('delete-tuning-btn'),
+    refPitchInput: document.getElementById('reference-pitch-input'),
+    refPitchDecrease: document.getElementById('ref-pitch-decrease'),
+    refPitchIncrease: document.getElementById('ref-pitch-increase'),
+    
+    // Metronome Elements
+    startMetronomeBtn: document.getElementById('start-metronome-btn'),
+    bpmSlider: document.getElementById('bpm-slider'),
+    bpmValue: document.getElementById('bpm-value'),
+    bpmDecrease: document.getElementById('bpm-decrease'),
+    bpmIncrease: document.getElementById('bpm-increase'),
+    beatDotsContainer: document.getElementById('beat-dots'),
+    beatDots: [],
+    tapTempoBtn: document.getElementById('tap-tempo-btn'),
+    listenTempoBtn: document.getElementById('listen-tempo-btn'),
+    tempoStatus: document.getElementById('tempo-status'),
+    timeSignatureSelect: document.getElementById('time-signature-select'),
+    subdivisionSelect: document.getElementById('subdivision-select'),
+    trainerEnabled: document.getElementById('trainer-enabled'),
+    trainerStart: document.getElementById('trainer-start'),
+    trainerStep: document.getElementById('trainer-step'),
+    trainerEvery: document.getElementById('trainer-every'),
+    trainerTarget: document.getElementById('trainer-target'),
+    gapEnabled: document.getElementById('gap-enabled'),
+    gapOn: document.getElementById('gap-on'),
+    gapOff: document.getElementById('gap-off'),
+    metronomeProgress: document.getElementById('metronome-progress'),
+    voiceSelect: document.getElementById('voice-select'),
+    accentVoiceSelect: document.getElementById('accent-voice-select'),
+    voiceVolume: document.getElementById('voice-volume'),
+    accentVoiceVolume: document.getElementById('accent-voice-volume'),
+    sampleInput: document.getElementById('sample-input'),
+
+    // Chord Elements
+    chordGrid: document.getElementById('chord-grid'),
+    chordDetail: document.getElementById('chord-detail'),
+    chordDiagram: document.getElementById('chord-diagram'),
+    playChordBtn: document.getElementById('play-chord-btn'),
+    pluckPattern: document.getElementById('pluck-pattern'),
+    strumDirection: document.getElementById('strum-direction'),
+    strumSpeed: document.getElementById('strum-speed'),
+    pluckBrightness: document.getElementById('pluck-brightness'),
+    pluckDecay: document.getElementById('pluck-decay'),
+    pluckBody: document.getElementById('pluck-body'),
+    exportTheme: document.getElementById('export-theme'),
+    leftHandedToggle: document.getElementById('left-handed'),
+    exportSvgBtn: document.getElementById('export-svg-btn'),
+    exportPngBtn: document.getElementById('export-png-btn'),
+    exportChartSvgBtn: document.getElementById('export-chart-svg-btn'),
+    exportChartPngBtn: document.getElementById('export-chart-png-btn'),
+    printChartBtn: document.getElementById('print-chart-btn'),
+    printChart: document.getElementById('print-chart'),
+    chordRootSelect: document.getElementById('chord-root-select'),
+    chordQualitySelect: document.getElementById('chord-quality-select'),
+    chordBassSelect: document.getElementById('chord-bass-select'),
+    voicingPager: document.getElementById('voicing-pager'),
+    prevVoicingBtn: document.getElementById('prev-voicing-btn'),
+    nextVoicingBtn: document.getElementById('next-voicing-btn'),
+    voicingLabel: document.getElementById('voicing-label'),
+
+    // Progression Elements
+    addToProgressionBtn: document.getElementById('add-to-progression-btn'),
+    progressionInput: document.getElementById('progression-input'),
+    progressionSetBtn: document.getElementById('progression-set-btn'),
+    progressionList: document.getElementById('progression-list'),
+    progressionLoop: document.getElementById('progression-loop'),
+    progressionCountIn: document.getElementById('progression-count-in'),
+    progressionEveryBeat: document.getElementById('progression-every-beat'),
+    progressionStatus: document.getElementById('progression-status'),
+    progressionNow: document.getElementById('progression-now'),
+    progressionNext: document.getElementById('progression-next'),
+    progressionPlayBtn: document.getElementById('progression-play-btn'),
+
+    // Scale Explorer Elements
+    scaleRootSelect: document.getElementById('scale-root-select'),
+    scaleTypeSelect: document.getElementById('scale-type-select'),
+    scalePositionSelect: document.getElementById('scale-position-select'),
+    scaleLabelSelect: document.getElementById('scale-label-select'),
+    fretboardView: document.getElementById('fretboard-view'),
+
+    // Ear Training Elements
+    earCategoryBtns: document.querySelectorAll('.ear-category-btn'),
+    earLevel: document.getElementById('ear-level'),
+    earPrompt: document.getElementById('ear-prompt'),
+    earAnswers: document.getElementById('ear-answers'),
+    earFeedback: document.getElementById('ear-feedback'),
+    earReplayBtn: document.getElementById('ear-replay-btn'),
+    earNextBtn: document.getElementById('ear-next-btn'),
+    earStats: document.getElementById('ear-stats'),
+    earEndBtn: document.getElementById('ear-end-btn'),
+    earSummary: document.getElementById('ear-summary'),
+
+    // Practice Log Elements
+    practiceSummary: document.getElementById('practice-summary'),
+    practiceDays: document.getElementById('practice-days'),
+    practiceWeeks: document.getElementById('practice-weeks'),
+    practiceActivities: document.getElementById('practice-activities'),
+    practiceTempo: document.getElementById('practice-tempo'),
+    practiceExportBtn: document.getElementById('practice-export-btn'),
+    practiceImportBtn: document.getElementById('practice-import-btn'),
+    practiceImportInput: document.getElementById('practice-import-input'),
+
+    // Song Elements
+    songInput: document.getElementById('song-input'),
+    songShowBtn: document.getElementById('song-show-btn'),
+    songFileInput: document.getElementById('song-file-input'),
+    songTransposeDown: document.getElementById('song-transpose-down'),
+    songTransposeUp: document.getElementById('song-transpose-up'),
+    songTransposeLabel: document.getElementById('song-transpose-label'),
+    songCapoSelect: document.getElementById('song-capo-select'),
+    songBarsSelect: document.getElementById('song-bars-select'),
+    songScrollBtn: document.getElementById('song-scroll-btn'),
+    songWarning: document.getElementById('song-warning'),
+    songChords: document.getElementById('song-chords'),
+    songView: document.getElementById('song-view'),
+
+    // Looper Elements
+    looperBarsSelect: document.getElementById('looper-bars-select'),
+    looperCountInSelect: document.getElementById('looper-count-in-select'),
+    looperRecordBtn: document.getElementById('looper-record-btn'),
+    looperPlayBtn: document.getElementById('looper-play-btn'),
+    looperSpeed: document.getElementById('looper-speed'),
+    looperSpeedValue: document.getElementById('looper-speed-value'),
+    looperStatus: document.getElementById('looper-status'),
+    looperLayers: document.getElementById('looper-layers'),
+    looperExportBtn: document.getElementById('looper-export-btn'),
+    looperClearBtn: document.getElementById('looper-clear-btn'),
+    timingScore: document.getElementById('timing-score'),
+    timingLast: document.getElementById('timing-last'),
+    timingChart: document.getElementById('timing-chart'),
+    timingSummary: document.getElementById('timing-summary'),
+    timingLatency: document.getElementById('timing-latency'),
+    timingStartBtn: document.getElementById('timing-start-btn'),
+    timingCalibrateBtn: document.getElementById('timing-calibrate-btn'),
+    chordCollectionFilter: document.getElementById('chord-collection-filter'),
+    chordQualityFilter: document.getElementById('chord-quality-filter'),
+    chordSearch: document.getElementById('chord-search'),
+    collectionSelect: document.getElementById('collection-select'),
+    collectionNewBtn: document.getElementById('collection-new-btn'),
+    collectionRenameBtn: document.getElementById('collection-rename-btn'),
+    collectionDeleteBtn: document.getElementById('collection-delete-btn'),
+    collectionChords: document.getElementById('collection-chords'),
+    chordFormHeading: document.getElementById('chord-form-heading'),
+    chordFormName: document.getElementById('chord-form-name'),
+    chordFormFrets: document.getElementById('chord-form-frets'),
+    chordFormFingers: document.getElementById('chord-form-fingers'),
+    chordFormStart: document.getElementById('chord-form-start'),
+    chordFormTags: document.getElementById('chord-form-tags'),
+    chordFormErrors: document.getElementById('chord-form-errors'),
+    chordFormPreview: document.getElementById('chord-form-preview'),
+    chordFormSaveBtn: document.getElementById('chord-form-save-btn'),
+    chordFormCopyBtn: document.getElementById('chord-form-copy-btn'),
+    chordFormResetBtn: document.getElementById('chord-form-reset-btn'),
+    collectionExportBtn: document.getElementById('collection-export-btn'),
+    collectionImportBtn: document.getElementById('collection-import-btn'),
+    collectionShareBtn: document.getElementById('collection-share-btn'),
+    collectionImportInput: document.getElementById('collection-import-input'),
+    gridChords: [],              // Chords shown in the chord grid, in button order
+    editingChordIndex: -1,       // Chord being edited in the current collection, or -1 to add
+    shortcutsCard: document.getElementById('shortcuts'),
+    shortcutList: document.getElementById('shortcut-list'),
+    midiStatus: document.getElementById('midi-status'),
+    midiEnableBtn: document.getElementById('midi-enable-btn'),
+    announcer: document.getElementById('announcer'),
+    tunerAnnouncer: document.getElementById('tuner-announcer'),
+    beatAnnouncer: document.getElementById('beat-announcer'),
+    announceBarsToggle: document.getElementById('announce-bars'),
+    announceBeatsToggle: document.getElementById('announce-beats'),
+    announceBars: false,
+    announceBeats: false,
+    lastTunerAnnouncement: { text: "", time: 0 },
+
+    // Chord Finder Elements
+    finderModeBtns: document.querySelectorAll('.finder-mode-btn'),
+    finderFretboard: document.getElementById('finder-fretboard'),
+    finderListen: document.getElementById('finder-listen'),
+    fretEditor: document.getElementById('fret-editor'),
+    finderClearBtn: document.getElementById('finder-clear-btn'),
+    finderResult: document.getElementById('finder-result'),
+    finderDiagram: document.getElementById('finder-diagram'),
+    finderListenBtn: document.getElementById('finder-listen-btn'),
+    finderSuggestions: document.getElementById('finder-suggestions'),
+    finderChroma: document.getElementById('finder-chroma'),
+
+    // State
+    isTunerRunning: false,
+    tunerDisplayMode: 'gauge',
+    strobeDisplay: null,
+    pitchGraph: null,
+    isMetronomeRunning: false,
+    selectedChord: null,
+    voicings: [],
+    voicingIndex: 0,
+    finderFrets: [-1, -1, -1, -1, -1, -1],
+    earCategory: "intervals",
+    song: null,
+    songTranspose: 0,
+    songScrollFrame: null,
+    earStartedTuner: false,
+
+    init() {
+        // Setting up the controls saves some defaults; restore from what was loaded
+        const saved = Object.assign({}, settings.values);
+
+        // Tuner Events
+        this.startTunerBtn.addEventListener('click', () => this.toggleTuner());
+
+        // Tuner Display Modes (all fed from the tuner's pitch stream)
+        this.strobeDisplay = new StrobeDisplay(this.strobeCanvas);
+        this.pitchGraph = new PitchGraph(this.graphCanvas);
+        tuner.addListener((reading) => {
+            if (reading) this.updateTunerDisplay(reading);
+            this.strobeDisplay.update(reading);
+            this.pitchGraph.update(reading);
+
+            const result = earTrainer.checkPitch(reading);
+            if (result) this.showEarResult(result);
+        });
+
+        this.displayModeBtns.forEach((btn) => {
+            btn.addEventListener('click', () => this.setTunerDisplayMode(btn.dataset.mode));
+        });
+
+        this.strumCheckBtn.addEventListener('click', () => this.setStrumCheck(!tuner.strumCheck));
+
+        // Tuning Events
+        this.onTuningChanged();
+        this.tuningSelect.addEventListener('change', (e) => {
+            tuningManager.select(e.target.value);
+            this.onTuningChanged();
+        });
+
+        this.saveTuningBtn.addEventListener('click', () => this.saveCustomTuning());
+
+        this.deleteTuningBtn.addEventListener('click', () => {
+            if (!tuningManager.current.custom) return;
+            tuningManager.removeCustom(tuningManager.current.id);
+            this.onTuningChanged();
+        });
+
+        // Reference Pitch Events
+        this.refPitchInput.min = referencePitch.min;
+        this.refPitchInput.max = referencePitch.max;
+        this.refPitchInput.value = referencePitch.value;
+
+        this.refPitchInput.addEventListener('change', (e) => {
+            const hz = parseFloat(e.target.value);
+            this.updateReferencePitch(isNaN(hz) ? referencePitch.value : hz);
+        });
+
+        this.refPitchDecrease.addEventListener('click', () => {
+            this.updateReferencePitch(referencePitch.value - 1);
+        });
+
+        this.refPitchIncrease.addEventListener('click', () => {
+            this.updateReferencePitch(referencePitch.value + 1);
+        });
+
+        // Metronome Events
+        this.startMetronomeBtn.addEventListener('click', () => this.toggleMetronome());
+
+        this.bpmSlider.addEventListener('input', (e) => {
+            this.updateBpm(parseInt(e.target.value));
+        });
+
+        timeSignatures.forEach((sig) => {
+            const option = document.createElement('option');
+            option.value = sig.id;
+            option.textContent = sig.id;
+            this.timeSignatureSelect.appendChild(option);
+        });
+        this.timeSignatureSelect.value = metronome.timeSignature.id;
+        this.timeSignatureSelect.addEventListener('change', (e) => {
+            metronome.setTimeSignature(e.target.value);
+            settings.set("timeSignature", e.target.value);
+            this.renderBeatDots();
+        });
+
+        subdivisions.forEach((sub) => {
+            const option = document.createElement('option');
+            option.value = sub.id;
+            option.textContent = sub.name;
+            this.subdivisionSelect.appendChild(option);
+        });
+        this.subdivisionSelect.value = metronome.subdivision.id;
+        this.subdivisionSelect.addEventListener('change', (e) => {
+            metronome.setSubdivision(e.target.value);
+            settings.set("subdivision", e.target.value);
+        });
+
+        this.renderBeatDots();
+
+        // Tap Tempo ("T" key, see Shortcuts, or the Tap button) and tempo listening
+        this.tapTempoBtn.addEventListener('click', () => this.tapTempo());
+
+        this.listenTempoBtn.addEventListener('click', () => this.toggleTempoListening());
+
+        // Speed Trainer & Gap Click
+        [this.trainerEnabled, this.trainerStart, this.trainerStep, this.trainerEvery, this.trainerTarget]
+            .forEach(input => input.addEventListener('change', () => this.updateTrainer()));
+        [this.gapEnabled, this.gapOn, this.gapOff]
+            .forEach(input => input.addEventListener('change', () => this.updateGap()));
+
+        // Click Voices
+        this.renderVoiceOptions();
+        this.voiceSelect.addEventListener('change', (e) => {
+            metronome.setVoice(e.target.value);
+            this.syncVoiceVolumes();
+        });
+        this.accentVoiceSelect.addEventListener('change', (e) => {
+            metronome.setAccentVoice(e.target.value);
+            this.syncVoiceVolumes();
+        });
+        this.voiceVolume.addEventListener('input', (e) => {
+            metronome.setVoiceVolume(metronome.voice, parseFloat(e.target.value));
+            this.syncVoiceVolumes();
+        });
+        this.accentVoiceVolume.addEventListener('input', (e) => {
+            metronome.setVoiceVolume(metronome.accentVoice || metronome.voice, parseFloat(e.target.value));
+            this.syncVoiceVolumes();
+        });
+        this.sampleInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const id = await metronome.loadSample(file);
+                metronome.setVoice(id);
+                this.renderVoiceOptions();
+            } catch (err) {
+                console.error("Error loading sample:", err);
+                alert("That file could not be decoded as audio.");
+            }
+            e.target.value = "";
+        });
+
+        this.bpmDecrease.addEventListener('click', () => {
+            const val = parseInt(this.bpmSlider.value) - 1;
+            if (val >= 40) this.updateBpm(val);
+        });
+
+        this.bpmIncrease.addEventListener('click', () => {
+            const val = parseInt(this.bpmSlider.value) + 1;
+            if (val <= 218) this.updateBpm(val);
+        });
+
+        // Chord Library Events
+        this.chordQualityFilter.appendChild(new Option("All qualities", ""));
+        chordQualities.forEach(quality => this.chordQualityFilter.appendChild(new Option(quality.name, quality.id)));
+        this.chordCollectionFilter.addEventListener('change', () => {
+            settings.set("chordCollection", this.chordCollectionFilter.value);
+            this.renderChordGrid();
+        });
+        this.chordQualityFilter.addEventListener('change', () => this.renderChordGrid());
+        this.chordSearch.addEventListener('input', () => this.renderChordGrid());
+
+        // Chord Builder: root + quality (+ optional slash bass) from the chord engine
+        chordRoots.forEach((root, index) => {
+            const rootOption = document.createElement('option');
+            rootOption.value = index;
+            rootOption.textContent = root;
+            this.chordRootSelect.appendChild(rootOption);
+
+            const bassOption = document.createElement('option');
+            bassOption.value = index;
+            bassOption.textContent = `/${root}`;
+            this.chordBassSelect.appendChild(bassOption);
+        });
+        chordQualities.forEach((quality) => {
+            const option = document.createElement('option');
+            option.value = quality.id;
+            option.textContent = quality.name;
+            this.chordQualitySelect.appendChild(option);
+        });
+        [this.chordRootSelect, this.chordQualitySelect, this.chordBassSelect]
+            .forEach(select => select.addEventListener('change', () => {
+                this.buildChord();
+                practiceLog.touch("chords");
+            }));
+
+        this.prevVoicingBtn.addEventListener('click', () => this.showVoicing(this.voicingIndex - 1));
+        this.nextVoicingBtn.addEventListener('click', () => this.showVoicing(this.voicingIndex + 1));
+
+        this.playChordBtn.addEventListener('click', () => {
+            if (this.selectedChord) {
+                chordPlayer.strum(this.selectedChord);
+                practiceLog.touch("chords");
+            }
+        });
+
+        // Chord Collection Events
+        this.collectionSelect.addEventListener('change', () => {
+            this.resetChordForm();
+            this.renderCollectionChords();
+        });
+        this.collectionNewBtn.addEventListener('click', () => this.newCollection());
+        this.collectionRenameBtn.addEventListener('click', () => this.renameCollection());
+        this.collectionDeleteBtn.addEventListener('click', () => this.deleteCollection());
+        [this.chordFormName, this.chordFormFrets, this.chordFormFingers, this.chordFormStart]
+            .forEach(input => input.addEventListener('input', () => this.previewChordForm()));
+        this.chordFormSaveBtn.addEventListener('click', () => this.saveChordForm());
+        this.chordFormCopyBtn.addEventListener('click', () => this.copySelectedChord());
+        this.chordFormResetBtn.addEventListener('click', () => this.resetChordForm());
+        this.collectionExportBtn.addEventListener('click', () => this.exportCollection());
+        this.collectionImportBtn.addEventListener('click', () => this.collectionImportInput.click());
+        this.collectionImportInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importCollection(file);
+            e.target.value = "";
+        });
+        this.collectionShareBtn.addEventListener('click', () => this.shareCollection());
+        this.renderCollections();
+
+        // Chord Sound Events
+        pickingPatterns.forEach((pattern) => {
+            const option = document.createElement('option');
+            option.value = pattern.id;
+            option.textContent = pattern.name;
+            this.pluckPattern.appendChild(option);
+        });
+        [this.pluckPattern, this.strumDirection, this.strumSpeed,
+            this.pluckBrightness, this.pluckDecay, this.pluckBody].forEach((input) => {
+            input.addEventListener('change', () => this.updateChordSound());
+        });
+        this.updateChordSound();
+
+        // Chord Export Events
+        this.exportTheme.addEventListener('change', () => settings.set("exportTheme", this.exportTheme.value));
+        this.leftHandedToggle.addEventListener('change', (e) => this.setLeftHanded(e.target.checked));
+        this.exportSvgBtn.addEventListener('click', () => this.exportChord("svg"));
+        this.exportPngBtn.addEventListener('click', () => this.exportChord("png"));
+        this.exportChartSvgBtn.addEventListener('click', () => this.exportChart("svg"));
+        this.exportChartPngBtn.addEventListener('click', () => this.exportChart("png"));
+        this.printChartBtn.addEventListener('click', () => this.printChordChart());
+
+        // Progression Events
+        this.addToProgressionBtn.addEventListener('click', () => {
+            if (!this.selectedChord) return;
+            progressionPlayer.add(this.selectedChord);
+            this.renderProgression();
+        });
+        this.progressionSetBtn.addEventListener('click', () => {
+            const unknown = progressionPlayer.parse(this.progressionInput.value);
+            if (unknown.length) {
+                alert(`Unknown chord${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`);
+                return;
+            }
+            this.renderProgression();
+        });
+        this.progressionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.progressionSetBtn.click();
+        });
+        this.progressionLoop.addEventListener('change', () => {
+            progressionPlayer.loop = this.progressionLoop.checked;
+        });
+        this.progressionCountIn.addEventListener('change', () => {
+            progressionPlayer.countInBars = parseInt(this.progressionCountIn.value);
+        });
+        this.progressionEveryBeat.addEventListener('change', () => {
+            progressionPlayer.strumEveryBeat = this.progressionEveryBeat.checked;
+        });
+        this.progressionPlayBtn.addEventListener('click', () => {
+            if (progressionPlayer.isPlaying) this.stopProgression();
+            else this.playProgression();
+        });
+        this.renderProgression();
+
+        // Scale Explorer Events
+        chordRoots.forEach((root, pc) => {
+            const option = document.createElement('option');
+            option.value = pc;
+            option.textContent = root;
+            this.scaleRootSelect.appendChild(option);
+        });
+        this.scaleRootSelect.value = 9; // A
+        const scaleGroup = document.createElement('optgroup');
+        scaleGroup.label = "Scales & modes";
+        scaleTypes.forEach((scale) => {
+            const option = document.createElement('option');
+            option.value = scale.id;
+            option.textContent = scale.name;
+            scaleGroup.appendChild(option);
+        });
+        const arpeggioGroup = document.createElement('optgroup');
+        arpeggioGroup.label = "Arpeggios";
+        chordQualities.forEach((quality) => {
+            const option = document.createElement('option');
+            option.value = `chord:${quality.id}`;
+            option.textContent = `${quality.name} arpeggio`;
+            arpeggioGroup.appendChild(option);
+        });
+        this.scaleTypeSelect.appendChild(scaleGroup);
+        this.scaleTypeSelect.appendChild(arpeggioGroup);
+        this.scaleTypeSelect.value = "minor-pentatonic";
+
+        [this.scaleRootSelect, this.scaleTypeSelect].forEach((select) => {
+            select.addEventListener('change', () => this.renderScalePositions());
+        });
+        [this.scalePositionSelect, this.scaleLabelSelect].forEach((select) => {
+            select.addEventListener('change', () => this.renderScale());
+        });
+        this.renderScalePositions();
+
+        // Ear Training Events
+        this.earCategoryBtns.forEach((btn) => {
+            btn.addEventListener('click', () => this.setEarCategory(btn.dataset.category));
+        });
+        this.earReplayBtn.addEventListener('click', () => earTrainer.play());
+        this.earNextBtn.addEventListener('click', () => this.nextEarQuestion());
+        this.earEndBtn.addEventListener('click', () => this.endEarSession());
+        this.renderEarStats();
+
+        // Practice Log Events
+        metronome.addBeatListener(({ bpm }) => practiceLog.recordTempo(bpm));
+        practiceLog.onChange = () => this.renderPracticeLog();
+        window.addEventListener('pagehide', () => practiceLog.endAll());
+        this.practiceExportBtn.addEventListener('click', () => this.exportPracticeLog());
+        this.practiceImportBtn.addEventListener('click', () => this.practiceImportInput.click());
+        this.practiceImportInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importPracticeLog(file);
+            e.target.value = "";
+        });
+        this.renderPracticeLog();
+
+        // Song Events
+        for (let fret = 0; fret <= 9; fret++) {
+            const option = document.createElement('option');
+            option.value = fret;
+            option.textContent = fret === 0 ? "No capo" : `Capo ${fret}`;
+            this.songCapoSelect.appendChild(option);
+        }
+        try {
+            this.songInput.value = localStorage.getItem('guitarApp.song') || "";
+        } catch (err) {
+            console.warn("Could not load the last song:", err);
+        }
+        this.songShowBtn.addEventListener('click', () => this.showSong());
+        this.songFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            this.songInput.value = await file.text();
+            e.target.value = "";
+            this.showSong();
+        });
+        this.songTransposeDown.addEventListener('click', () => this.transposeSong(-1));
+        this.songTransposeUp.addEventListener('click', () => this.transposeSong(1));
+        this.songCapoSelect.addEventListener('change', () => this.renderSong());
+        this.songScrollBtn.addEventListener('click', () => this.toggleSongScroll());
+        if (this.songInput.value.trim()) this.showSong();
+
+        // Looper Events
+        this.looperRecordBtn.addEventListener('click', () => this.toggleLooperRecord());
+        this.looperPlayBtn.addEventListener('click', () => {
+            if (looper.isPlaying) looper.stop();
+            else looper.play();
+        });
+        this.looperSpeed.addEventListener('input', (e) => {
+            this.looperSpeedValue.textContent = `${e.target.value}%`;
+        });
+        this.looperSpeed.addEventListener('change', (e) => looper.setSpeed(parseInt(e.target.value) / 100));
+        this.looperExportBtn.addEventListener('click', async () => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await looper.exportWav());
+            link.download = `loop-${dayKey(Date.now())}.wav`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+        this.looperClearBtn.addEventListener('click', () => looper.clear());
+        this.updateLooper({ state: looper.state, isPlaying: false });
+
+        // Timing Events
+        this.timingStartBtn.addEventListener('click', () => this.toggleTiming());
+        this.timingCalibrateBtn.addEventListener('click', () => this.calibrateLatency());
+        if (timingAnalyzer.latency !== null) looper.latency = timingAnalyzer.latency;
+        this.renderTimingLatency();
+        this.renderTimingChart();
+
+        // Chord Finder Events
+        this.finderModeBtns.forEach((btn) => {
+            btn.addEventListener('click', () => this.setFinderMode(btn.dataset.mode));
+        });
+        this.renderFretEditor();
+        this.finderClearBtn.addEventListener('click', () => {
+            this.finderFrets = [-1, -1, -1, -1, -1, -1];
+            this.renderFretEditor();
+        });
+        this.finderListenBtn.addEventListener('click', () => this.toggleChordListening());
+
+        // Shortcut & MIDI Events
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.midiEnableBtn.addEventListener('click', () => this.enableMidi());
+        this.announceBarsToggle.addEventListener('change', (e) => this.setAnnounceBars(e.target.checked));
+        this.announceBeatsToggle.addEventListener('change', (e) => this.setAnnounceBeats(e.target.checked));
+        this.renderShortcuts();
+
+        this.restoreSettings(saved);
+        this.importSharedCollection();
+    },
+
+    // Puts back what was in use last time (from a copy of the settings taken
+    // before init); the microphone and audio wait for a click
+    restoreSettings(saved) {
+        const bpm = parseInt(saved.bpm);
+        if (bpm >= parseInt(this.bpmSlider.min) && bpm <= parseInt(this.bpmSlider.max)) this.updateBpm(bpm);
+
+        const signature = timeSignatures.find(sig => sig.id === saved.timeSignature);
+        if (signature) {
+            metronome.setTimeSignature(signature.id);
+            this.timeSignatureSelect.value = signature.id;
+            this.renderBeatDots();
+        }
+        const subdivision = subdivisions.find(sub => sub.id === saved.subdivision);
+        if (subdivision) {
+            metronome.setSubdivision(subdivision.id);
+            this.subdivisionSelect.value = subdivision.id;
+        }
+
+        const displayMode = saved.tunerDisplay;
+        if (Array.from(this.displayModeBtns).some(btn => btn.dataset.mode === displayMode)) this.setTunerDisplayMode(displayMode);
+        if (saved.strumCheck) this.setStrumCheck(true);
+        if (saved.exportTheme === "light" || saved.exportTheme === "dark") this.exportTheme.value = saved.exportTheme;
+        if (saved.leftHanded) this.setLeftHanded(true);
+        if (saved.announceBars) this.setAnnounceBars(true);
+        if (saved.announceBeats) this.setAnnounceBeats(true);
+
+        if (chordLibrary.find(saved.chordCollection)) {
+            this.chordCollectionFilter.value = saved.chordCollection;
+            this.renderChordGrid();
+        }
+        const chord = saved.chord;
+        if (chord && chord.name) {
+            const entry = chordLibrary.filter().find(e => e.chord.name === chord.name);
+            if (entry) this.selectChord(entry.chord, this.chordGrid.children[this.gridChords.indexOf(entry.chord)]);
+        } else if (chord && chord.root !== undefined) {
+            this.chordRootSelect.value = chord.root;
+            this.chordQualitySelect.value = chord.quality;
+            this.chordBassSelect.value = chord.bass;
+            this.buildChord();
+            if (this.voicings.length) this.showVoicing(chord.voicing || 0);
+        }
+
+        // Remember the last card used and bring it back into view
+        document.querySelector('main').addEventListener('pointerdown', (e) => {
+            const section = e.target.closest('section.card');
+            if (section) settings.set("section", section.id);
+        });
+        const section = saved.section && document.getElementById(saved.section);
+        if (section && !location.hash) section.scrollIntoView({ block: "start" });
+    },
+
+    // Chord grid buttons for the chords that match the collection, quality and search filters
+    renderChordGrid() {
+        const entries = chordLibrary.filter({
+            collectionId: this.chordCollectionFilter.value || "all",
+            quality: this.chordQualityFilter.value,
+            query: this.chordSearch.value
+        });
+        this.gridChords = entries.map(entry => entry.chord);
+        this.chordGrid.innerHTML = "";
+        if (!entries.length) this.chordGrid.textContent = "No chords match.";
+
+        entries.forEach(({ chord, collection }) => {
+            const btn = document.createElement('button');
+            btn.className = 'chord-btn';
+            btn.textContent = chord.name;
+            btn.title = [collection.name].concat(chord.tags || []).join(" · ");
+            btn.classList.toggle('active', chord === this.selectedChord);
+            btn.addEventListener('click', () => {
+                this.selectChord(chord, btn);
+                practiceLog.touch("chords");
+            });
+            this.chordGrid.appendChild(btn);
+        });
+    },
+
+    // Collection lists for the grid filter and the editor, then their contents
+    renderCollections(selected = this.collectionSelect.value) {
+        const filterValue = this.chordCollectionFilter.value || "all";
+        this.chordCollectionFilter.innerHTML = "";
+        this.chordCollectionFilter.appendChild(new Option("All collections", "all"));
+        chordLibrary.all.forEach(collection => this.chordCollectionFilter.appendChild(new Option(collection.name, collection.id)));
+        this.chordCollectionFilter.value = chordLibrary.find(filterValue) ? filterValue : "all";
+
+        this.collectionSelect.innerHTML = "";
+        chordLibrary.collections.forEach(collection => this.collectionSelect.appendChild(new Option(collection.name, collection.id)));
+        if (!chordLibrary.collections.length) this.collectionSelect.appendChild(new Option("No collections yet", ""));
+        if (chordLibrary.collections.some(c => c.id === selected)) this.collectionSelect.value = selected;
+
+        const hasCollection = !!this.currentCollection();
+        [this.collectionSelect, this.collectionRenameBtn, this.collectionDeleteBtn, this.collectionExportBtn, this.collectionShareBtn]
+            .forEach((control) => { control.disabled = !hasCollection; });
+
+        this.renderCollectionChords();
+        this.renderChordGrid();
+    },
+
+    currentCollection() {
+        return chordLibrary.collections.find(c => c.id === this.collectionSelect.value) || null;
+    },
+
+    renderCollectionChords() {
+        const collection = this.currentCollection();
+        this.collectionChords.innerHTML = "";
+        if (!collection || !collection.chords.length) {
+            this.collectionChords.textContent = collection
+                ? "No chords yet. Add one below or copy one from the chord library."
+                : "Create a collection to group your own chords.";
+            return;
+        }
+
+        collection.chords.forEach((chord, index) => {
+            const item = document.createElement('div');
+            item.className = 'progression-item';
+            item.classList.toggle('current', index === this.editingChordIndex);
+
+            const name = document.createElement('button');
+            name.className = 'progression-name collection-chord-name';
+            name.textContent = chord.name;
+            name.title = "Edit";
+            name.addEventListener('click', () => this.editChord(index));
+            item.appendChild(name);
+
+            if (chord.tags && chord.tags.length) {
+                const tags = document.createElement('span');
+                tags.className = 'chord-tags';
+                tags.textContent = chord.tags.join(", ");
+                item.appendChild(tags);
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'progression-remove';
+            remove.textContent = "×";
+            remove.setAttribute('aria-label', `Delete ${chord.name}`);
+            remove.addEventListener('click', () => {
+                chordLibrary.removeChord(collection.id, index);
+                if (this.editingChordIndex === index) this.resetChordForm();
+                else if (this.editingChordIndex > index) this.editingChordIndex--;
+                this.renderCollections();
+            });
+            item.appendChild(remove);
+
+            this.collectionChords.appendChild(item);
+        });
+    },
+
+    newCollection() {
+        const name = prompt("Name of the new collection:", "Week 1");
+        if (!name || !name.trim()) return;
+        const collection = chordLibrary.createCollection(name);
+        this.resetChordForm();
+        this.renderCollections(collection.id);
+    },
+
+    renameCollection() {
+        const collection = this.currentCollection();
+        if (!collection) return;
+        const name = prompt("New name for the collection:", collection.name);
+        if (!name || !name.trim()) return;
+        chordLibrary.renameCollection(collection.id, name);
+        this.renderCollections();
+    },
+
+    deleteCollection() {
+        const collection = this.currentCollection();
+        if (!collection) return;
+        const count = collection.chords.length;
+        if (!confirm(`Delete "${collection.name}" and its ${count} chord${count === 1 ? "" : "s"}?`)) return;
+        chordLibrary.removeCollection(collection.id);
+        this.resetChordForm();
+        this.renderCollections();
+    },
+
+    // "x32010" for single-digit shapes, "x 10 12 12 11 10" once frets reach 10
+    formatStrings(values) {
+        return values.map(value => value === -1 ? "x" : value).join(values.some(value => value > 9) ? " " : "");
+    },
+
+    readChordForm() {
+        const start = this.chordFormStart.value.trim();
+        return {
+            name: this.chordFormName.value,
+            frets: chordLibrary.parseStrings(this.chordFormFrets.value),
+            fingers: chordLibrary.parseStrings(this.chordFormFingers.value).map(finger => finger === -1 ? 0 : finger),
+            startFret: start === "" ? null : Number(start),
+            tags: this.chordFormTags.value.split(",")
+        };
+    },
+
+    // Shows the diagram once the shape is valid, or what's wrong with it
+    previewChordForm() {
+        const chord = this.readChordForm();
+        const errors = chordLibrary.validate(chord);
+        const started = this.chordFormFrets.value.trim() || this.chordFormFingers.value.trim();
+
+        this.chordFormErrors.innerHTML = "";
+        errors.forEach((error) => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            this.chordFormErrors.appendChild(item);
+        });
+        this.chordFormErrors.hidden = !errors.length || !started;
+
+        if (errors.length) this.chordFormPreview.innerHTML = "";
+        else ChordDiagram.render(chordLibrary.normalize(chord), this.chordFormPreview);
+        return errors;
+    },
+
+    saveChordForm() {
+        const errors = this.previewChordForm();
+        if (errors.length) {
+            this.chordFormErrors.hidden = false;
+            return;
+        }
+
+        const collection = this.currentCollection() || chordLibrary.createCollection("My chords");
+        chordLibrary.saveChord(collection.id, this.readChordForm(), this.editingChordIndex);
+        this.resetChordForm();
+        this.renderCollections(collection.id);
+    },
+
+    editChord(index) {
+        const chord = this.currentCollection().chords[index];
+        this.fillChordForm(chord);
+        this.chordFormTags.value = (chord.tags || []).join(", ");
+        this.editingChordIndex = index;
+        this.chordFormHeading.textContent = `Edit ${chord.name}`;
+        this.chordFormSaveBtn.textContent = "Save Chord";
+        this.renderCollectionChords();
+    },
+
+    fillChordForm(chord) {
+        this.chordFormName.value = chord.name;
+        this.chordFormFrets.value = this.formatStrings(chord.frets);
+        this.chordFormFingers.value = chord.fingers.join(chord.fingers.some(finger => finger > 9) ? " " : "");
+        this.chordFormStart.value = chord.startFret || "";
+        this.previewChordForm();
+    },
+
+    // Starts a new chord from the one showing in the chord library (e.g. a builder voicing)
+    copySelectedChord() {
+        if (!this.selectedChord) {
+            alert("Select a chord in the chord library first.");
+            return;
+        }
+        this.resetChordForm();
+        this.fillChordForm(this.selectedChord);
+    },
+
+    resetChordForm() {
+        [this.chordFormName, this.chordFormFrets, this.chordFormFingers, this.chordFormStart, this.chordFormTags]
+            .forEach((input) => { input.value = ""; });
+        this.editingChordIndex = -1;
+        this.chordFormHeading.textContent = "Add a chord";
+        this.chordFormSaveBtn.textContent = "Add Chord";
+        this.chordFormErrors.hidden = true;
+        this.chordFormPreview.innerHTML = "";
+        this.renderCollectionChords();
+    },
+
+    exportCollection() {
+        const collection = this.currentCollection();
+        if (!collection) return;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([chordLibrary.exportJSON(collection.id)], { type: "application/json" }));
+        link.download = `${collection.name.replace(/[^\w-]+/g, "-").toLowerCase() || "chords"}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    async importCollection(file) {
+        try {
+            this.showImportedCollections(chordLibrary.importJSON(await file.text()));
+        } catch (err) {
+            console.error("Error importing chord collection:", err);
+            alert("That file doesn't look like a chord collection export.");
+        }
+    },
+
+    showImportedCollections({ collections, skipped }) {
+        this.renderCollections(collections[0].id);
+        this.resetChordForm();
+        this.chordCollectionFilter.value = collections[0].id;
+        this.renderChordGrid();
+
+        const count = collections.reduce((sum, c) => sum + c.chords.length, 0);
+        let message = `Imported ${count} chord${count === 1 ? "" : "s"} into "${collections.map(c => c.name).join('", "')}".`;
+        if (skipped.length) message += `\nSkipped ${skipped.length} invalid chord${skipped.length === 1 ? "" : "s"}: ${skipped.join(", ")}`;
+        alert(message);
+    },
+
+    async shareCollection() {
+        const collection = this.currentCollection();
+        if (!collection) return;
+        const url = chordLibrary.shareURL(collection.id);
+        try {
+            await navigator.clipboard.writeText(url);
+            alert(`Link to "${collection.name}" copied. Anyone who opens it can import the collection.`);
+        } catch (err) {
+            prompt("Copy this link to share the collection:", url);
+        }
+    },
+
+    // Offers to import a collection opened from a share link, then tidies the URL
+    importSharedCollection() {
+        const json = chordLibrary.decodeShareHash(location.hash);
+        if (!json) return;
+        history.replaceState(null, "", location.pathname + location.search);
+
+        try {
+            const data = JSON.parse(json);
+            const count = Array.isArray(data.chords) ? data.chords.length : 0;
+            if (!confirm(`Import the shared chord collection "${data.name}" (${count} chord${count === 1 ? "" : "s"})?`)) return;
+            this.showImportedCollections(chordLibrary.importJSON(json));
+            document.getElementById('chords').scrollIntoView();
+        } catch (err) {
+            console.error("Error importing shared chord collection:", err);
+            alert("That link doesn't contain a valid chord collection.");
+        }
+    },
+
+    handleShortcut(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest('input, select, textarea, [contenteditable]')) return;
+
+        if (e.key === "?") {
+            this.shortcutsCard.scrollIntoView({ behavior: "smooth" });
+            return;
+        }
+        const key = e.key.toLowerCase();
+        const action = controlActions.find(a => a.keys.includes(key));
+        if (!action || (e.repeat && !action.repeat)) return;
+        e.preventDefault();
+        this.runAction(action.id, e.shiftKey);
+    },
+
+    runAction(id, big = false) {
+        const action = controlActions.find(a => a.id === id);
+        if (action) action.run(big);
+    },
+
+    nudgeBpm(delta) {
+        const bpm = Math.max(parseInt(this.bpmSlider.min), Math.min(parseInt(this.bpmSlider.max), metronome.bpm + delta));
+        this.updateBpm(bpm);
+        this.announce(`${bpm} BPM`);
+    },
+
+    // Steps through the builder's voicings when they're showing, otherwise the chord library
+    stepChord(direction) {
+        if (!this.voicingPager.hidden && this.voicings.length) {
+            this.showVoicing(this.voicingIndex + direction);
+        } else {
+            const count = this.gridChords.length;
+            if (!count) return;
+            const current = this.gridChords.indexOf(this.selectedChord);
+            const index = current === -1 ? (direction > 0 ? 0 : count - 1) : (current + direction + count) % count;
+            this.selectChord(this.gridChords[index], this.chordGrid.children[index]);
+        }
+        practiceLog.touch("chords");
+        this.announce(ChordDiagram.describe(this.selectedChord));
+    },
+
+    // Reads a message out through the polite live region
+    announce(text) {
+        // Clearing first makes a repeat of the same text announce again
+        this.announcer.textContent = "";
+        setTimeout(() => { this.announcer.textContent = text; }, 50);
+    },
+
+    renderShortcuts() {
+        this.shortcutList.innerHTML = "";
+        controlActions.forEach((action) => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+
+            const name = document.createElement('span');
+            name.textContent = action.name;
+            row.appendChild(name);
+
+            const keys = document.createElement('kbd');
+            keys.textContent = action.label;
+            row.appendChild(keys);
+
+            const binding = midiControl.bindings[action.id];
+            const midi = document.createElement('span');
+            midi.textContent = midiControl.learning === action.id ? "Press a pedal…" : binding ? midiControl.describe(binding) : "–";
+            row.appendChild(midi);
+
+            const learn = document.createElement('button');
+            learn.className = 'btn-secondary';
+            learn.disabled = !midiControl.access;
+            learn.textContent = binding && midiControl.learning !== action.id ? "Clear" : "Learn";
+            learn.classList.toggle('active', midiControl.learning === action.id);
+            learn.setAttribute('aria-label', `${learn.textContent} MIDI for ${action.name}`);
+            learn.addEventListener('click', () => {
+                if (binding && midiControl.learning !== action.id) midiControl.unbind(action.id);
+                else midiControl.learn(action.id);
+            });
+            row.appendChild(learn);
+
+            this.shortcutList.appendChild(row);
+        });
+
+        if (!midiControl.isSupported) {
+            this.midiStatus.textContent = "MIDI not supported";
+            this.midiEnableBtn.disabled = true;
+        } else if (midiControl.access) {
+            const names = midiControl.inputNames;
+            this.midiStatus.textContent = names.length ? names.join(", ") : "No MIDI devices";
+            this.midiEnableBtn.hidden = true;
+        }
+    },
+
+    async enableMidi() {
+        try {
+            await midiControl.enable();
+        } catch (err) {
+            console.error("Error accessing MIDI:", err);
+            alert("MIDI access was refused or is unavailable.");
+        }
+    },
+
+    // Speaks the note and how far off it is, at most once a second and only when it changes
+    announceTuning(note, cents) {
+        const rounded = Math.round(cents);
+        const text = Math.abs(rounded) < 5 ? `${note} in tune`
+            : `${note}, ${Math.abs(rounded)} cents ${rounded < 0 ? "flat" : "sharp"}`;
+        const now = performance.now();
+        const last = this.lastTunerAnnouncement;
+        if (text === last.text || now - last.time < 1000) return;
+        this.lastTunerAnnouncement = { text, time: now };
+        this.tunerAnnouncer.textContent = text;
+    },
+
+    renderTuningOptions() {
+        this.tuningSelect.innerHTML = "";
+        tuningManager.all.forEach((tuning) => {
+            const option = document.createElement('option');
+            option.value = tuning.id;
+            option.textContent = tuning.name;
+            this.tuningSelect.appendChild(option);
+        });
+        this.tuningSelect.value = tuningManager.current.id;
+        this.renderStringSelector();
+    },
+
+    renderStringSelector() {
+        this.stringSelector.innerHTML = "";
+
+        const autoBtn = document.createElement('button');
+        autoBtn.className = 'string-btn';
+        autoBtn.textContent = "Auto";
+        autoBtn.addEventListener('click', () => this.lockString(null));
+        this.stringSelector.appendChild(autoBtn);
+
+        tuningManager.getStrings().forEach((string, index) => {
+            const btn = document.createElement('button');
+            btn.className = 'string-btn';
+            btn.textContent = string.name;
+            btn.title = `String ${string.number} (${string.fullName})`;
+            btn.dataset.index = index;
+            btn.addEventListener('click', () => this.lockString(index));
+            this.stringSelector.appendChild(btn);
+        });
+
+        this.lockString(tuner.lockedString);
+        this.deleteTuningBtn.disabled = !tuningManager.current.custom;
+    },
+
+    lockString(index) {
+        tuner.lockString(index);
+        this.stringSelector.querySelectorAll('.string-btn').forEach((btn) => {
+            const btnIndex = btn.dataset.index === undefined ? null : parseInt(btn.dataset.index);
+            btn.classList.toggle('locked', btnIndex === index);
+            btn.classList.remove('detected');
+        });
+    },
+
+    onTuningChanged() {
+        this.renderTuningOptions();
+        this.renderStrumCheck();
+        this.renderFretEditor();
+        this.renderScalePositions();
+        this.resetTunerDisplay();
+        if (this.voicings.length && this.chordRootSelect.value !== "") this.buildChord();
+    },
+
+    updateReferencePitch(hz) {
+        this.refPitchInput.value = referencePitch.set(hz);
+        this.resetTunerDisplay();
+    },
+
+    saveCustomTuning() {
+        const tokens = this.customTuningNotes.value.trim().split(/[\s,]+/);
+        const midi = tokens.map(parseNoteName);
+
+        if (tokens.length !== 6 || midi.includes(null)) {
+            alert("Enter six notes from low to high, e.g. \"D2 A2 D3 G3 B3 E4\".");
+            return;
+        }
+
+        const name = this.customTuningName.value.trim() || tokens.join(" ");
+        tuningManager.addCustom(name, midi);
+        this.customTuningName.value = "";
+        this.customTuningNotes.value = "";
+        this.onTuningChanged();
+    },
+
+    buildChord() {
+        if (this.chordRootSelect.value === "") return;
+        const root = parseInt(this.chordRootSelect.value);
+        const bass = this.chordBassSelect.value === "" ? null : parseInt(this.chordBassSelect.value);
+
+        this.voicings = ChordEngine.generateVoicings(root, this.chordQualitySelect.value, bass);
+        this.chordGrid.querySelectorAll('.chord-btn').forEach(b => b.classList.remove('active'));
+
+        if (!this.voicings.length) {
+            this.selectedChord = null;
+            this.chordDiagram.textContent = "No playable voicing found in this tuning.";
+            this.voicingPager.hidden = true;
+            this.chordDetail.classList.add('visible');
+            return;
+        }
+        this.showVoicing(0);
+    },
+
+    showVoicing(index) {
+        const count = this.voicings.length;
+        this.voicingIndex = (index + count) % count;
+        this.selectedChord = this.voicings[this.voicingIndex];
+        settings.set("chord", {
+            root: this.chordRootSelect.value,
+            quality: this.chordQualitySelect.value,
+            bass: this.chordBassSelect.value,
+            voicing: this.voicingIndex
+        });
+        ChordDiagram.render(this.selectedChord, this.chordDiagram);
+        this.voicingLabel.textContent = `${this.voicingIndex + 1} / ${count}`;
+        this.voicingPager.hidden = false;
+        this.chordDetail.classList.add('visible');
+    },
+
+    updateChordSound() {
+        chordPlayer.setSettings({
+            pattern: this.pluckPattern.value,
+            direction: this.strumDirection.value,
+            strumSpeed: parseFloat(this.strumSpeed.value),
+            brightness: parseFloat(this.pluckBrightness.value),
+            decay: parseFloat(this.pluckDecay.value),
+            body: parseFloat(this.pluckBody.value)
+        });
+        // Direction and speed only apply to strums
+        this.strumDirection.disabled = this.pluckPattern.value !== "strum";
+        this.strumSpeed.disabled = this.pluckPattern.value !== "strum";
+    },
+
+    // Mirrors every diagram from now on and redraws the ones on screen
+    setLeftHanded(enabled) {
+        ChordDiagram.defaults.leftHanded = enabled;
+        this.leftHandedToggle.checked = enabled;
+        settings.set("leftHanded", enabled);
+
+        if (this.selectedChord) ChordDiagram.render(this.selectedChord, this.chordDiagram);
+        this.renderSong();
+        this.identifyFinderShape();
+        if (this.chordFormFrets.value.trim()) this.previewChordForm();
+    },
+
+    // Exported files always paint their background so they read the same anywhere
+    exportOptions() {
+        return { theme: this.exportTheme.value, background: true, standalone: true };
+    },
+
+    // Title for charts of the chord grid: the collection it's filtered to
+    chartTitle() {
+        const collection = chordLibrary.find(this.chordCollectionFilter.value);
+        return collection ? collection.name : "Chord chart";
+    },
+
+    exportChord(format) {
+        if (!this.selectedChord) return;
+        const svg = ChordDiagram.toSVG(this.selectedChord, this.exportOptions());
+        this.saveDiagram(svg, ChordExport.fileName(this.selectedChord.name), format);
+    },
+
+    exportChart(format) {
+        if (!this.gridChords.length) {
+            alert("No chords to export. Clear the chord filters and try again.");
+            return;
+        }
+        const title = this.chartTitle();
+        const svg = ChordDiagram.chartToSVG(this.gridChords, Object.assign({ title }, this.exportOptions()));
+        this.saveDiagram(svg, ChordExport.fileName(title), format);
+    },
+
+    async saveDiagram(svg, name, format) {
+        if (format === "svg") {
+            ChordExport.download(ChordExport.svgBlob(svg), `${name}.svg`);
+            return;
+        }
+        try {
+            ChordExport.download(await ChordExport.pngBlob(svg), `${name}.png`);
+        } catch (err) {
+            console.error("PNG export failed:", err);
+            alert("Could not create the PNG. Try the SVG instead.");
+        }
+    },
+
+    // Lays the chord grid out as a page (see the print styles) and opens the
+    // print dialog, where it can be printed or saved as a PDF
+    printChordChart() {
+        if (!this.gridChords.length) {
+            alert("No chords to print. Clear the chord filters and try again.");
+            return;
+        }
+        const theme = this.exportTheme.value;
+        const numFrets = Math.max(...this.gridChords.map(chord => ChordDiagram.getFretCount(chord)));
+        const heading = document.createElement('h1');
+        heading.textContent = this.chartTitle();
+        const grid = document.createElement('div');
+        grid.className = 'print-chart-grid';
+        grid.innerHTML = this.gridChords
+            .map(chord => ChordDiagram.toSVG(chord, { theme, numFrets, background: theme === "dark" }))
+            .join("");
+
+        this.printChart.innerHTML = "";
+        this.printChart.append(heading, grid);
+        // Only this print swaps the page for the chart; Ctrl+P still prints the page
+        document.body.classList.add('printing-chart');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-chart'), { once: true });
+        window.print();
+    },
+
+    renderProgression() {
+        this.progressionList.innerHTML = "";
+        if (!progressionPlayer.chords.length) {
+            this.progressionList.textContent = "Type chords above or add them from the chord library.";
+        }
+
+        progressionPlayer.chords.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = 'progression-item';
+            item.dataset.index = index;
+
+            const name = document.createElement('span');
+            name.className = 'progression-name';
+            name.textContent = entry.chord.name;
+            item.appendChild(name);
+
+            const beats = document.createElement('input');
+            beats.type = 'number';
+            beats.className = 'text-input';
+            beats.min = 1;
+            beats.max = 32;
+            beats.value = entry.beats;
+            beats.title = "Beats";
+            beats.setAttribute('aria-label', `Beats of ${entry.chord.name}`);
+            beats.addEventListener('change', () => {
+                progressionPlayer.setBeats(index, this.readNumber(beats, entry.beats, 1, 32));
+            });
+            item.appendChild(beats);
+
+            const remove = document.createElement('button');
+            remove.className = 'progression-remove';
+            remove.textContent = "×";
+            remove.setAttribute('aria-label', `Remove ${entry.chord.name}`);
+            remove.addEventListener('click', () => {
+                progressionPlayer.remove(index);
+                this.renderProgression();
+            });
+            item.appendChild(remove);
+
+            this.progressionList.appendChild(item);
+        });
+
+        this.progressionPlayBtn.disabled = !progressionPlayer.chords.length;
+    },
+
+    playProgression() {
+        if (!progressionPlayer.start()) return;
+        // Remember whether to stop the metronome again when the progression ends
+        this.progressionStartedMetronome = !this.isMetronomeRunning;
+        if (!this.isMetronomeRunning) this.toggleMetronome();
+        this.progressionPlayBtn.textContent = "Stop";
+        this.progressionPlayBtn.classList.add('active');
+        practiceLog.begin("progression", { chords: progressionPlayer.chords.map(entry => entry.chord.name).join(" ") });
+        this.progressionStatus.textContent = "Waiting for the next bar…";
+    },
+
+    stopProgression() {
+        progressionPlayer.stop();
+        practiceLog.end("progression");
+        if (this.progressionStartedMetronome && this.isMetronomeRunning) this.toggleMetronome();
+        this.progressionStartedMetronome = false;
+        this.progressionPlayBtn.textContent = "Play Progression";
+        this.progressionPlayBtn.classList.remove('active');
+        this.progressionStatus.textContent = "";
+        this.progressionNow.innerHTML = "";
+        this.progressionNext.innerHTML = "";
+        this.progressionList.querySelectorAll('.progression-item').forEach((item) => {
+            item.classList.remove('current', 'next');
+        });
+    },
+
+    showProgressionCountIn(remaining) {
+        if (!progressionPlayer.isPlaying) return;
+        this.progressionStatus.textContent = `Count-in: ${remaining}`;
+    },
+
+    highlightProgression(index, nextIndex) {
+        if (!progressionPlayer.isPlaying) return;
+        const current = progressionPlayer.chords[index];
+        const next = progressionPlayer.chords[nextIndex];
+
+        this.progressionStatus.textContent = "";
+        this.progressionList.querySelectorAll('.progression-item').forEach((item) => {
+            const itemIndex = parseInt(item.dataset.index);
+            item.classList.toggle('current', itemIndex === index);
+            item.classList.toggle('next', itemIndex === nextIndex && nextIndex !== index);
+        });
+
+        if (current) ChordDiagram.render(current.chord, this.progressionNow);
+        if (next) ChordDiagram.render(next.chord, this.progressionNext);
+        else this.progressionNext.innerHTML = "";
+    },
+
+    // Rebuilds the position filter for the chosen root and scale, keeping the selection where possible
+    renderScalePositions() {
+        const previous = this.scalePositionSelect.value;
+        const positions = ScaleExplorer.getPositions(parseInt(this.scaleRootSelect.value), this.scaleTypeSelect.value);
+        this.scalePositions = positions;
+
+        this.scalePositionSelect.innerHTML = "";
+        const all = document.createElement('option');
+        all.value = "";
+        all.textContent = "Whole neck";
+        this.scalePositionSelect.appendChild(all);
+        positions.forEach((position) => {
+            const option = document.createElement('option');
+            option.value = position.id;
+            option.textContent = position.name;
+            this.scalePositionSelect.appendChild(option);
+        });
+        this.scalePositionSelect.value = positions.some(p => p.id === previous) ? previous : "";
+
+        this.renderScale();
+    },
+
+    renderScale() {
+        const position = this.scalePositions.find(p => p.id === this.scalePositionSelect.value);
+        const showNames = this.scaleLabelSelect.value === "notes";
+        const notes = ScaleExplorer.getNotes(parseInt(this.scaleRootSelect.value), this.scaleTypeSelect.value)
+            .map(note => Object.assign(note, {
+                label: showNames ? chordRoots[note.midi % 12] : note.label,
+                dimmed: position ? !position.contains(note) : false
+            }));
+
+        Fretboard.render(this.fretboardView, notes, {
+            onNoteClick: (note) => {
+                chordPlayer.playNote(note.midi);
+                practiceLog.touch("scales");
+            }
+        });
+    },
+
+    setEarCategory(categoryId) {
+        this.earCategory = categoryId;
+        this.earCategoryBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.category === categoryId));
+        if (categoryId !== "playback") this.stopEarListening();
+        this.nextEarQuestion();
+    },
+
+    nextEarQuestion() {
+        const question = earTrainer.next(this.earCategory);
+        practiceLog.touch("ear-training");
+        this.earSummary.hidden = true;
+        this.earPrompt.textContent = question.prompt;
+        this.earLevel.textContent = `Level ${earTrainer.getLevel(question.category)}`;
+        this.earFeedback.textContent = "";
+        this.earFeedback.className = 'ear-feedback';
+        this.earReplayBtn.disabled = question.category === "playback" && !question.audible;
+
+        this.earAnswers.innerHTML = "";
+        question.choices.forEach((choice) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-secondary ear-answer';
+            btn.dataset.id = choice.id;
+            btn.textContent = choice.label;
+            btn.addEventListener('click', () => {
+                const result = earTrainer.answer(choice.id);
+                if (result) this.showEarResult(result);
+            });
+            this.earAnswers.appendChild(btn);
+        });
+
+        // Play-it-back questions listen through the tuner
+        if (question.audible && question.category === "playback") this.earFeedback.textContent = "Play it back once the note has faded";
+        if (question.category === "playback" && !this.isTunerRunning) {
+            this.toggleTuner();
+            this.earStartedTuner = true;
+        }
+        earTrainer.play();
+    },
+
+    showEarResult(result) {
+        const question = earTrainer.question;
+        const answerLabel = question.choices.length
+            ? question.choices.find(choice => choice.id === result.answer).label
+            : result.answer;
+
+        this.earFeedback.className = `ear-feedback ${result.correct ? 'correct' : 'wrong'}`;
+        this.earFeedback.textContent = (result.correct ? "Correct!" : `Not quite — it was ${answerLabel}.`)
+            + (result.played ? ` You played ${result.played}.` : "");
+        this.earLevel.textContent = `Level ${result.level}`;
+        this.earAnswers.querySelectorAll('.ear-answer').forEach((btn) => {
+            btn.disabled = true;
+            if (btn.dataset.id === result.answer) btn.classList.add('active');
+        });
+        this.renderEarStats();
+    },
+
+    renderEarStats() {
+        this.earStats.innerHTML = "";
+        earCategories.forEach((category) => {
+            const session = earTrainer.session.stats[category.id];
+            const totals = earTrainer.totals[category.id];
+            const row = document.createElement('div');
+            row.className = 'ear-stat';
+            const percent = stats => stats && stats.asked ? `${Math.round(stats.correct / stats.asked * 100)}%` : "–";
+            row.innerHTML = `<span>${category.name}</span>`
+                + `<span title="This session">${session ? `${session.correct}/${session.asked}` : "0/0"}</span>`
+                + `<span title="All time">${percent(totals)}</span>`;
+            this.earStats.appendChild(row);
+        });
+    },
+
+    endEarSession() {
+        const summary = earTrainer.getSummary();
+        this.stopEarListening();
+
+        this.earSummary.innerHTML = "";
+        const heading = document.createElement('h3');
+        heading.textContent = "Session summary";
+        this.earSummary.appendChild(heading);
+
+        const overall = document.createElement('p');
+        overall.textContent = summary.asked
+            ? `${summary.correct} of ${summary.asked} correct (${Math.round(summary.correct / summary.asked * 100)}%) in ${summary.minutes} min · best streak ${summary.bestStreak}`
+            : "No questions answered yet.";
+        this.earSummary.appendChild(overall);
+
+        summary.categories.forEach((category) => {
+            const line = document.createElement('p');
+            line.textContent = `${category.name}: ${category.correct}/${category.asked}`;
+            this.earSummary.appendChild(line);
+        });
+        this.earSummary.hidden = false;
+
+        earTrainer.resetSession();
+        earTrainer.question = null;
+        this.earPrompt.textContent = "Pick a category to start a new session.";
+        this.earAnswers.innerHTML = "";
+        this.earFeedback.textContent = "";
+        this.renderEarStats();
+    },
+
+    // Stops the tuner if the ear trainer started it
+    stopEarListening() {
+        if (this.earStartedTuner && this.isTunerRunning) this.toggleTuner();
+        this.earStartedTuner = false;
+    },
+
+    async renderPracticeLog() {
+        const stats = practiceLog.getStats(await practiceLog.getAll());
+
+        this.practiceSummary.innerHTML = "";
+        [
+            ["Today", formatDuration(stats.today)],
+            ["This week", formatDuration(stats.week)],
+            ["Streak", `${stats.streak} day${stats.streak === 1 ? "" : "s"}`]
+        ].forEach(([label, value]) => {
+            const block = document.createElement('div');
+            block.className = 'practice-stat';
+            block.innerHTML = `<span class="practice-stat-value">${value}</span><span class="practice-stat-label">${label}</span>`;
+            this.practiceSummary.appendChild(block);
+        });
+
+        // Last 7 days as bars, scaled to the busiest day (at least 30 minutes)
+        const longest = Math.max(1800, ...stats.days.map(day => day.seconds));
+        this.practiceDays.innerHTML = "";
+        stats.days.forEach((day) => {
+            const bar = document.createElement('div');
+            bar.className = 'chroma-bar practice-day';
+            bar.title = formatDuration(day.seconds);
+            const weekday = new Date(day.date).toLocaleDateString(undefined, { weekday: 'short' });
+            bar.innerHTML = `<div class="chroma-fill" style="height: ${Math.round(day.seconds / longest * 100)}%"></div><span>${weekday}</span>`;
+            this.practiceDays.appendChild(bar);
+        });
+
+        this.practiceWeeks.innerHTML = "";
+        stats.weeks.forEach((week, index) => {
+            const row = document.createElement('div');
+            row.className = 'ear-stat';
+            const label = index === 0 ? "This week"
+                : `Week of ${new Date(week.start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+            row.innerHTML = `<span>${label}</span><span></span><span>${formatDuration(week.seconds)}</span>`;
+            this.practiceWeeks.appendChild(row);
+        });
+
+        this.practiceActivities.innerHTML = "";
+        Object.keys(practiceActivities).forEach((activity) => {
+            if (!stats.activities[activity]) return;
+            const row = document.createElement('div');
+            row.className = 'ear-stat';
+            row.innerHTML = `<span>${practiceActivities[activity]}</span><span></span><span>${formatDuration(stats.activities[activity])}</span>`;
+            this.practiceActivities.appendChild(row);
+        });
+
+        this.renderTempoProgress(stats.tempo);
+    },
+
+    // Line of the top metronome tempo per day over the last month
+    renderTempoProgress(points) {
+        this.practiceTempo.innerHTML = "";
+        if (!points.length) {
+            this.practiceTempo.textContent = "Practice with the metronome for a minute or more to track your tempo.";
+            return;
+        }
+
+        const svgNS = "http://www.w3.org/2000/svg";
+        const width = 400;
+        const height = 100;
+        const pad = 24;
+        const low = Math.min(...points.map(p => p.bpm)) - 5;
+        const high = Math.max(...points.map(p => p.bpm)) + 5;
+        const first = points[0].date;
+        const span = Math.max(1, points[points.length - 1].date - first);
+        const x = p => points.length === 1 ? width / 2 : pad + (p.date - first) / span * (width - 2 * pad);
+        const y = p => height - pad / 2 - (p.bpm - low) / (high - low) * (height - pad);
+
+        const svg = document.createElementNS(svgNS, "svg");
+        svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+        svg.setAttribute("width", "100%");
+
+        const line = document.createElementNS(svgNS, "polyline");
+        line.setAttribute("points", points.map(p => `${x(p)},${y(p)}`).join(" "));
+        line.setAttribute("fill", "none");
+        line.setAttribute("stroke", "#8257e5");
+        line.setAttribute("stroke-width", "2");
+        svg.appendChild(line);
+
+        points.forEach((point) => {
+            const dot = document.createElementNS(svgNS, "circle");
+            dot.setAttribute("cx", x(point));
+            dot.setAttribute("cy", y(point));
+            dot.setAttribute("r", 3);
+            dot.setAttribute("fill", "#ffffff");
+            const title = document.createElementNS(svgNS, "title");
+            title.textContent = `${new Date(point.date).toLocaleDateString()}: ${point.bpm} BPM`;
+            dot.appendChild(title);
+            svg.appendChild(dot);
+        });
+
+        const latest = points[points.length - 1];
+        const label = document.createElementNS(svgNS, "text");
+        label.setAttribute("x", width - 4);
+        label.setAttribute("y", 12);
+        label.setAttribute("text-anchor", "end");
+        label.setAttribute("fill", "#a1a1aa");
+        label.setAttribute("font-size", "11");
+        label.setAttribute("font-family", "Inter, sans-serif");
+        label.textContent = `Latest ${latest.bpm} BPM`;
+        svg.appendChild(label);
+
+        this.practiceTempo.appendChild(svg);
+    },
+
+    async exportPracticeLog() {
+        const json = await practiceLog.exportJSON();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+        link.download = `practice-log-${dayKey(Date.now())}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    async importPracticeLog(file) {
+        try {
+            const added = await practiceLog.importJSON(await file.text());
+            alert(`Imported ${added} practice session${added === 1 ? "" : "s"}.`);
+        } catch (err) {
+            console.error("Error importing practice log:", err);
+            alert("That file doesn't look like a practice log export.");
+        }
+    },
+
+    showSong() {
+        const text = this.songInput.value;
+        try {
+            localStorage.setItem('guitarApp.song', text);
+        } catch (err) {
+            console.warn("Could not save the song:", err);
+        }
+
+        this.song = ChordPro.parse(text);
+        this.songTranspose = 0;
+        this.songCapoSelect.value = Math.min(9, this.song.capo);
+        if (this.song.tempo && !this.isMetronomeRunning) {
+            this.updateBpm(Math.round(Math.max(parseInt(this.bpmSlider.min), Math.min(parseInt(this.bpmSlider.max), this.song.tempo))));
+        }
+        this.renderSong();
+    },
+
+    transposeSong(semitones) {
+        if (!this.song) return;
+        this.songTranspose = ((this.songTranspose + semitones) % 12 + 12) % 12;
+        this.renderSong();
+    },
+
+    /**
+     * Draws the song with chord shapes for the chosen capo. Written chords are
+     * shapes for the song's own {capo}, so the sounding pitch is written + song
+     * capo + transpose, and the shapes shown are that minus the chosen capo.
+     */
+    renderSong() {
+        const song = this.song;
+        if (!song) return;
+        const capo = parseInt(this.songCapoSelect.value);
+        const shapeShift = this.songTranspose + song.capo - capo;
+        const shape = name => ChordPro.isNoChord(name)
+            ? name
+            : ChordPro.normalizeName(ChordEngine.transposeName(name, shapeShift));
+
+        const transpose = this.songTranspose > 6 ? this.songTranspose - 12 : this.songTranspose;
+        this.songTransposeLabel.textContent = transpose === 0 ? "Original key"
+            : `${transpose > 0 ? "+" : ""}${transpose}`
+                + (song.key ? ` (${ChordEngine.transposeName(song.key, this.songTranspose)})` : "");
+
+        // Chord strip, with a warning for names we can't draw
+        const unknown = [];
+        const shapes = {};
+        this.songChords.innerHTML = "";
+        song.chords.filter(name => !ChordPro.isNoChord(name)).forEach((name) => {
+            const shown = shape(name);
+            if (shapes[shown] !== undefined) return;
+            const chord = ChordEngine.findChord(shown);
+            shapes[shown] = chord;
+            if (!chord) {
+                unknown.push(shown);
+                return;
+            }
+            const container = document.createElement('div');
+            container.className = 'chord-diagram song-chord-diagram';
+            ChordDiagram.render(chord, container);
+            container.addEventListener('click', () => chordPlayer.strum(chord));
+            this.songChords.appendChild(container);
+        });
+        this.songWarning.hidden = !unknown.length;
+        this.songWarning.textContent = unknown.length
+            ? `Unknown chord${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")} — no diagram available.`
+            : "";
+
+        this.songView.innerHTML = "";
+        const header = document.createElement('div');
+        header.className = 'song-header';
+        header.innerHTML = "<h3></h3><p></p>";
+        header.querySelector('h3').textContent = song.title || "Untitled";
+        header.querySelector('p').textContent = [song.subtitle, song.artist].filter(Boolean).join(" · ");
+        this.songView.appendChild(header);
+
+        song.lines.forEach((line) => {
+            const element = document.createElement('div');
+            if (line.type === "lyrics") {
+                element.className = line.chorus ? 'song-line chorus' : 'song-line';
+                line.segments.forEach((segment) => {
+                    const part = document.createElement('span');
+                    part.className = 'song-segment';
+                    const chord = document.createElement('span');
+                    chord.className = 'song-chord';
+                    if (segment.chord) {
+                        chord.textContent = shape(segment.chord);
+                        if (shapes[chord.textContent] === null) {
+                            chord.classList.add('unknown');
+                            chord.title = "Unknown chord";
+                        }
+                    }
+                    const lyric = document.createElement('span');
+                    lyric.className = 'song-lyric';
+                    lyric.textContent = segment.text || "\u00a0";
+                    part.appendChild(chord);
+                    part.appendChild(lyric);
+                    element.appendChild(part);
+                });
+            } else if (line.type === "section") {
+                element.className = 'song-section';
+                element.textContent = line.name;
+            } else if (line.type === "comment") {
+                element.className = 'song-comment';
+                element.textContent = line.text;
+            } else if (line.type === "tab") {
+                element.className = 'song-tab';
+                element.textContent = line.text;
+            } else {
+                element.className = 'song-empty';
+            }
+            this.songView.appendChild(element);
+        });
+    },
+
+    // Scrolls one lyric line every few bars at the metronome's current tempo
+    toggleSongScroll() {
+        if (this.songScrollFrame !== null) {
+            this.stopSongScroll();
+            return;
+        }
+        if (!this.song) return;
+
+        this.songScrollBtn.textContent = "Stop Scrolling";
+        this.songScrollBtn.classList.add('active');
+        practiceLog.begin("songs", { title: this.song.title });
+
+        const line = this.songView.querySelector('.song-line');
+        const lineHeight = line ? line.offsetHeight || 48 : 48;
+        let last = performance.now();
+        let position = this.songView.scrollTop;
+        const step = (now) => {
+            const seconds = Math.min(0.1, (now - last) / 1000);
+            last = now;
+            const barsPerLine = parseInt(this.songBarsSelect.value);
+            const secondsPerLine = barsPerLine * metronome.beatsInBar * 60 / metronome.bpm;
+            position += lineHeight / secondsPerLine * seconds;
+            this.songView.scrollTop = position;
+
+            if (this.songView.scrollTop + this.songView.clientHeight >= this.songView.scrollHeight - 1 && position > 0) {
+                this.stopSongScroll();
+                return;
+            }
+            this.songScrollFrame = requestAnimationFrame(step);
+        };
+        this.songScrollFrame = requestAnimationFrame(step);
+    },
+
+    stopSongScroll() {
+        cancelAnimationFrame(this.songScrollFrame);
+        this.songScrollFrame = null;
+        this.songScrollBtn.textContent = "Auto-scroll";
+        this.songScrollBtn.classList.remove('active');
+        practiceLog.end("songs");
+    },
+
+    async toggleLooperRecord() {
+        if (looper.state !== "idle") {
+            looper.cancelRecording();
+            return;
+        }
+        if (looper.layers.length && looper.speed < 1) {
+            alert("Set the speed back to 100% to record an overdub.");
+            return;
+        }
+
+        looper.bars = parseInt(this.looperBarsSelect.value);
+        looper.countInBars = parseInt(this.looperCountInSelect.value);
+        // The first take is timed by the metronome
+        if (!looper.layers.length && !this.isMetronomeRunning) this.toggleMetronome();
+
+        try {
+            await looper.record();
+            practiceLog.touch("looper");
+        } catch (err) {
+            console.error("Error accessing microphone:", err);
+            alert("Microphone access is required to record.");
+            looper.cancelRecording();
+        }
+    },
+
+    updateLooper({ state, isPlaying, countIn }) {
+        const hasLoop = looper.layers.length > 0;
+        const busy = state !== "idle";
 
-// --- Metronome Implementation ---
-class Metronome {
-    constructor() {
-        this.isPlaying = false;
-        this.bpm = 120;
-        this.lookahead = 25.0; // ms
-        this.scheduleAheadTime = 0.1; // s
-        this.nextNoteTime = 0.0;
-        this.timerID = null;
-        this.beatsInBar = 4;
-        this.currentBeat = 0;
-    }
+        this.looperRecordBtn.textContent = busy ? "Cancel" : hasLoop ? "Overdub" : "Record";
+        this.looperRecordBtn.classList.toggle('active', busy);
+        this.looperRecordBtn.disabled = state === "opening";
+        this.looperPlayBtn.textContent = isPlaying ? "Stop" : "Play";
+        this.looperPlayBtn.disabled = !hasLoop;
+        this.looperExportBtn.disabled = !hasLoop;
+        this.looperClearBtn.disabled = (!hasLoop && !busy) || state === "opening";
+        this.looperBarsSelect.disabled = hasLoop;
+        this.looperCountInSelect.disabled = hasLoop;
 
-    start() {
-        if (this.isPlaying) return;
-        
-        const ctx = getAudioContext();
-        ctx.resume();
-        
-        this.isPlaying = true;
-        this.currentBeat = 0;
-        this.nextNoteTime = ctx.currentTime;
-        this.scheduler();
-    }
+        if (countIn) this.looperStatus.textContent = `Count-in: ${countIn}`;
+        else if (state === "opening") this.looperStatus.textContent = "Waiting for the microphone…";
+        else if (state === "waiting" || state === "counting") this.looperStatus.textContent = "Waiting for the next bar…";
+        else if (state === "recording") this.looperStatus.textContent = hasLoop ? "Overdubbing…" : "Recording…";
+        else if (isPlaying) this.looperStatus.textContent = `Looping ${looper.bars} bar${looper.bars > 1 ? "s" : ""} recorded at ${looper.bpm} BPM`;
+        else this.looperStatus.textContent = hasLoop ? "Stopped" : "";
 
-    stop() {
-        this.isPlaying = false;
-        if (this.timerID) clearTimeout(this.timerID);
-        ui.setMetronomeActive(false);
-    }
+        this.looperLayers.innerHTML = "";
+        looper.layers.forEach((layer, index) => {
+            const row = document.createElement('div');
+            row.className = 'looper-layer';
 
-    scheduler() {
-        if (!this.isPlaying) return;
+            const label = document.createElement('label');
+            const mute = document.createElement('input');
+            mute.type = 'checkbox';
+            mute.checked = !layer.muted;
+            mute.addEventListener('change', () => looper.updateLayer(index, { muted: !mute.checked }));
+            label.appendChild(mute);
+            label.appendChild(document.createTextNode(index === 0 ? " Loop" : ` Overdub ${index}`));
+            row.appendChild(label);
 
-        const ctx = getAudioContext();
-        // While there are notes that will need to play before the next interval,
-        // schedule them and advance the pointer.
-        while (this.nextNoteTime < ctx.currentTime + this.scheduleAheadTime) {
-            this.scheduleNote(this.currentBeat, this.nextNoteTime);
-            this.nextNote();
-        }
-        
-        this.timerID = setTimeout(() => this.scheduler(), this.lookahead);
-    }
+            const volume = document.createElement('input');
+            volume.type = 'range';
+            volume.min = 0;
+            volume.max = 1.5;
+            volume.step = 0.05;
+            volume.value = layer.gain;
+            volume.setAttribute('aria-label', `Volume of layer ${index + 1}`);
+            volume.addEventListener('change', () => looper.updateLayer(index, { gain: parseFloat(volume.value) }));
+            row.appendChild(volume);
 
-    nextNote() {
-        const secondsPerBeat = 60.0 / this.bpm;
-        this.nextNoteTime += secondsPerBeat;
-        this.currentBeat = (this.currentBeat + 1) % this.beatsInBar;
-    }
+            const remove = document.createElement('button');
+            remove.className = 'progression-remove';
+            remove.textContent = "×";
+            remove.setAttribute('aria-label', `Delete layer ${index + 1}`);
+            remove.addEventListener('click', () => looper.removeLayer(index));
+            row.appendChild(remove);
 
-    scheduleNote(beatNumber, time) {
-        const ctx = getAudioContext();
-        const osc = ctx.createOscillator();
-        const envelope = ctx.createGain();
+            this.looperLayers.appendChild(row);
+        });
+    },
 
-        osc.frequency.value = (beatNumber === 0) ? 1000 : 800; // Stress the first beat
-        envelope.gain.value = 1;
-        
-        // Envelope curve to avoid clicking
-        envelope.gain.exponentialRampToValueAtTime(1, time + 0.001);
-        envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+    async toggleTiming() {
+        if (timingAnalyzer.isRunning) {
+            this.stopTiming();
+            return;
+        }
 
-        osc.connect(envelope);
-        envelope.connect(ctx.destination);
+        // Disabled until the microphone prompt is answered, so a second click can't start another analysis
+        this.timingStartBtn.disabled = true;
+        this.timingCalibrateBtn.disabled = true;
+        try {
+            await timingAnalyzer.start();
+        } catch (err) {
+            console.error("Error accessing microphone:", err);
+            alert("Microphone access is required to analyse timing.");
+            return;
+        } finally {
+            this.timingStartBtn.disabled = false;
+            this.timingCalibrateBtn.disabled = false;
+        }
+        if (!this.isMetronomeRunning) this.toggleMetronome();
+        this.renderTimingLatency();
 
-        osc.start(time);
-        osc.stop(time + 0.05);
+        this.timingStartBtn.textContent = "Stop Analysis";
+        this.timingStartBtn.classList.add('active');
+        this.timingCalibrateBtn.disabled = true;
+        this.timingSummary.hidden = true;
+        this.timingLast.textContent = "–";
+        this.timingLast.className = 'timing-last';
+        this.timingScore.textContent = "";
+        this.renderTimingChart();
+        practiceLog.begin("timing", { bpm: metronome.bpm });
+    },
 
-        // Schedule visual update
-        // We use a slight delay or simple requestAnimationFrame to sync visual, 
-        // but since audio is precise, we can just trigger visual slightly ahead or draw it now.
-        // For perfect sync, we'd use a separate visual timer, but for this simpler app:
-        const drawTime = (time - ctx.currentTime) * 1000;
-        setTimeout(() => {
-            ui.highlightBeat(beatNumber);
-        }, Math.max(0, drawTime));
-    }
+    stopTiming() {
+        if (!timingAnalyzer.isRunning) return;
+        timingAnalyzer.stop();
+        this.timingStartBtn.textContent = "Start Analysis";
+        this.timingStartBtn.classList.remove('active');
+        this.timingCalibrateBtn.disabled = false;
 
-    setBpm(bpm) {
-        this.bpm = bpm;
-    }
-}
+        const summary = timingAnalyzer.getSummary();
+        const session = practiceLog.active.timing;
+        if (session) Object.assign(session.entry, { score: summary.score, notes: summary.count, offset: Math.round(summary.meanOffset) });
+        practiceLog.end("timing");
 
-// --- Chord Library Data ---
-const chordData = [
-    { name: "C",     frets: [-1, 3, 2, 0, 1, 0], fingers: [0, 3, 2, 0, 1, 0], startFret: 0 },
-    { name: "D",     frets: [-1, -1, 0, 2, 3, 2], fingers: [0, 0, 0, 1, 3, 2], startFret: 0 },
-    { name: "E",     frets: [0, 2, 2, 1, 0, 0],   fingers: [0, 2, 3, 1, 0, 0], startFret: 0 },
-    { name: "G",     frets: [3, 2, 0, 0, 0, 3],   fingers: [2, 1, 0, 0, 0, 3], startFret: 0 },
-    { name: "A",     frets: [-1, 0, 2, 2, 2, 0],  fingers: [0, 0, 1, 2, 3, 0], startFret: 0 },
-    { name: "Am",    frets: [-1, 0, 2, 2, 1, 0],  fingers: [0, 0, 2, 3, 1, 0], startFret: 0 },
-    { name: "Dm",    frets: [-1, -1, 0, 2, 3, 1], fingers: [0, 0, 0, 2, 3, 1], startFret: 0 },
-    { name: "Em",    frets: [0, 2, 2, 0, 0, 0],   fingers: [0, 2, 3, 0, 0, 0], startFret: 0 },
-    { name: "A7",    frets: [-1, 0, 2, 0, 2, 0],  fingers: [0, 0, 2, 0, 3, 0], startFret: 0 },
-    { name: "B7",    frets: [-1, 2, 1, 2, 0, 2],  fingers: [0, 2, 1, 3, 0, 4], startFret: 0 },
-    { name: "C7",    frets: [-1, 3, 2, 3, 1, 0],  fingers: [0, 3, 2, 4, 1, 0], startFret: 0 },
-    { name: "D7",    frets: [-1, -1, 0, 2, 1, 2], fingers: [0, 0, 0, 2, 1, 3], startFret: 0 },
-    { name: "E7",    frets: [0, 2, 0, 1, 0, 0],   fingers: [0, 2, 0, 1, 0, 0], startFret: 0 },
-    { name: "G7",    frets: [3, 2, 0, 0, 0, 1],   fingers: [3, 2, 0, 0, 0, 1], startFret: 0 },
-    { name: "F",     frets: [-1, -1, 3, 2, 1, 1], fingers: [0, 0, 3, 2, 1, 1], startFret: 0 },
-    { name: "Fmaj7", frets: [-1, -1, 3, 2, 1, 0], fingers: [0, 0, 3, 2, 1, 0], startFret: 0 },
-    { name: "Cadd9", frets: [-1, 3, 2, 0, 3, 0],  fingers: [0, 2, 1, 0, 3, 0], startFret: 0 },
-];
+        this.timingSummary.innerHTML = "";
+        const heading = document.createElement('h3');
+        heading.textContent = "Session summary";
+        this.timingSummary.appendChild(heading);
+        const lines = summary.count
+            ? [
+                `Tightness ${summary.score}/100 over ${summary.count} notes`,
+                `Average ${this.describeOffset(summary.meanOffset)}, ±${Math.round(summary.spread)} ms spread`,
+                `Average miss ${Math.round(summary.meanAbsolute)} ms`
+            ]
+            : ["No notes were heard near the click."];
+        lines.forEach((text) => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            this.timingSummary.appendChild(line);
+        });
+        this.timingSummary.hidden = false;
+    },
+
+    // "12 ms late (dragging)", "8 ms early (rushing)" or "on the beat"
+    describeOffset(ms) {
+        const rounded = Math.round(ms);
+        if (Math.abs(rounded) < 5) return "on the beat";
+        return rounded > 0 ? `${rounded} ms late (dragging)` : `${-rounded} ms early (rushing)`;
+    },
 
-// Open string frequencies: E2, A2, D3, G3, B3, E4
-const openStringFreqs = [82.41, 110.00, 146.83, 196.00, 246.94, 329.63];
+    showTimingHit(hit) {
+        const ms = Math.round(hit.error);
+        this.timingLast.textContent = ms === 0 ? "0 ms" : `${ms > 0 ? "+" : "−"}${Math.abs(ms)} ms`;
+        this.timingLast.className = 'timing-last ' + (Math.abs(ms) <= 10 ? 'tight' : ms < 0 ? 'early' : 'late');
+        this.timingScore.textContent = `Tightness ${timingAnalyzer.getSummary().score}`;
+        this.renderTimingChart();
+    },
 
-// --- Chord Diagram Renderer ---
-const ChordDiagram = {
-    render(chord, container) {
+    // Each note is a dot above (late) or below (early) the centre line, with
+    // a running average over the last eight notes showing any drift
+    renderTimingChart() {
         const svgNS = "http://www.w3.org/2000/svg";
-        const numStrings = 6;
-        const numFrets = 5;
-        const stringSpacing = 25;
-        const fretSpacing = 30;
-        const leftPad = 30;
-        const topPad = 30;
-        const width = leftPad + numFrets * fretSpacing + 20;
-        const height = topPad + (numStrings - 1) * stringSpacing + 30;
+        const svg = this.timingChart;
+        const width = 400, height = 140, centre = height / 2, range = 60, shown = 60;
+        const y = ms => centre - Math.max(-range, Math.min(range, ms)) / range * (centre - 10);
+        const create = (tag, attributes) => {
+            const element = document.createElementNS(svgNS, tag);
+            Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+            svg.appendChild(element);
+            return element;
+        };
 
-        const svg = document.createElementNS(svgNS, "svg");
-        svg.setAttribute("width", width);
-        svg.setAttribute("height", height);
-        svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+        svg.innerHTML = "";
+        create("rect", { x: 0, y: y(10), width, height: y(-10) - y(10), fill: "rgba(4, 211, 97, 0.12)" });
+        create("line", { x1: 0, y1: centre, x2: width, y2: centre, stroke: "#52525b" });
+        create("text", { x: 4, y: 12 }).textContent = `Late +${range} ms`;
+        create("text", { x: 4, y: height - 4 }).textContent = `Early −${range} ms`;
 
-        // Chord name
-        const title = document.createElementNS(svgNS, "text");
-        title.setAttribute("x", leftPad + numFrets * fretSpacing / 2);
-        title.setAttribute("y", 16);
-        title.setAttribute("text-anchor", "middle");
-        title.setAttribute("fill", "#ffffff");
-        title.setAttribute("font-size", "16");
-        title.setAttribute("font-weight", "700");
-        title.setAttribute("font-family", "Inter, sans-serif");
-        title.textContent = chord.name;
-        svg.appendChild(title);
-
-        // Nut (thick left line for open position)
-        if (chord.startFret === 0) {
-            const nut = document.createElementNS(svgNS, "line");
-            nut.setAttribute("x1", leftPad);
-            nut.setAttribute("y1", topPad);
-            nut.setAttribute("x2", leftPad);
-            nut.setAttribute("y2", topPad + (numStrings - 1) * stringSpacing);
-            nut.setAttribute("stroke", "#ffffff");
-            nut.setAttribute("stroke-width", "4");
-            svg.appendChild(nut);
-        }
-
-        // Fret lines (vertical)
-        for (let i = 0; i <= numFrets; i++) {
-            const x = leftPad + i * fretSpacing;
-            const line = document.createElementNS(svgNS, "line");
-            line.setAttribute("x1", x);
-            line.setAttribute("y1", topPad);
-            line.setAttribute("x2", x);
-            line.setAttribute("y2", topPad + (numStrings - 1) * stringSpacing);
-            line.setAttribute("stroke", "#555");
-            line.setAttribute("stroke-width", i === 0 && chord.startFret > 0 ? "2" : "1");
-            svg.appendChild(line);
-        }
-
-        // String lines (horizontal, top = high E, bottom = low E)
-        for (let i = 0; i < numStrings; i++) {
-            const y = topPad + i * stringSpacing;
-            const line = document.createElementNS(svgNS, "line");
-            line.setAttribute("x1", leftPad);
-            line.setAttribute("y1", y);
-            line.setAttribute("x2", leftPad + numFrets * fretSpacing);
-            line.setAttribute("y2", y);
-            line.setAttribute("stroke", "#888");
-            line.setAttribute("stroke-width", "1.5");
-            svg.appendChild(line);
-        }
-
-        // Finger dots, muted/open markers
-        // Visual row 0 (top) = string index 5 (high E), row 5 (bottom) = string index 0 (low E)
-        for (let i = 0; i < numStrings; i++) {
-            const row = numStrings - 1 - i;
-            const y = topPad + row * stringSpacing;
-            const fret = chord.frets[i];
-            const finger = chord.fingers[i];
-
-            if (fret === -1) {
-                // Muted string: draw "x" to the left of the nut
-                const text = document.createElementNS(svgNS, "text");
-                text.setAttribute("x", leftPad - 16);
-                text.setAttribute("y", y + 5);
-                text.setAttribute("text-anchor", "middle");
-                text.setAttribute("fill", "#a1a1aa");
-                text.setAttribute("font-size", "14");
-                text.setAttribute("font-weight", "600");
-                text.setAttribute("font-family", "Inter, sans-serif");
-                text.textContent = "x";
-                svg.appendChild(text);
-            } else if (fret === 0) {
-                // Open string: draw "o" to the left of the nut
-                const circle = document.createElementNS(svgNS, "circle");
-                circle.setAttribute("cx", leftPad - 14);
-                circle.setAttribute("cy", y);
-                circle.setAttribute("r", "6");
-                circle.setAttribute("fill", "none");
-                circle.setAttribute("stroke", "#a1a1aa");
-                circle.setAttribute("stroke-width", "1.5");
-                svg.appendChild(circle);
-            } else {
-                // Fretted note: filled circle with finger number
-                const cx = leftPad + (fret - 0.5) * fretSpacing;
-                const dot = document.createElementNS(svgNS, "circle");
-                dot.setAttribute("cx", cx);
-                dot.setAttribute("cy", y);
-                dot.setAttribute("r", "10");
-                dot.setAttribute("fill", "#8257e5");
-                svg.appendChild(dot);
-
-                if (finger > 0) {
-                    const label = document.createElementNS(svgNS, "text");
-                    label.setAttribute("x", cx);
-                    label.setAttribute("y", y + 4);
-                    label.setAttribute("text-anchor", "middle");
-                    label.setAttribute("fill", "#ffffff");
-                    label.setAttribute("font-size", "11");
-                    label.setAttribute("font-weight", "600");
-                    label.setAttribute("font-family", "Inter, sans-serif");
-                    label.textContent = finger;
-                    svg.appendChild(label);
-                }
-            }
+        const hits = timingAnalyzer.hits.slice(-shown);
+        const step = width / shown;
+        const x = index => (index + 0.5) * step;
+        const average = hits.map((hit, index) => {
+            const window = hits.slice(Math.max(0, index - 7), index + 1);
+            return window.reduce((sum, h) => sum + h.error, 0) / window.length;
+        });
+        if (hits.length > 1) {
+            create("polyline", {
+                points: average.map((ms, index) => `${x(index)},${y(ms)}`).join(" "),
+                fill: "none", stroke: "#8257e5", "stroke-width": 2
+            });
         }
+        hits.forEach((hit, index) => {
+            const color = Math.abs(hit.error) <= 10 ? "#04d361" : hit.error < 0 ? "#f7b955" : "#f75a68";
+            create("circle", { cx: x(index), cy: y(hit.error), r: hit.pulse === 0 ? 3.5 : 2.5, fill: color });
+        });
 
-        container.innerHTML = "";
-        container.appendChild(svg);
-    }
-};
+        const summary = timingAnalyzer.getSummary(hits);
+        svg.setAttribute('aria-label', hits.length
+            ? `Last ${hits.length} notes: average ${this.describeOffset(summary.meanOffset)}, tightness ${summary.score} out of 100`
+            : "No notes analysed yet");
+    },
 
-// --- Chord Player ---
-class ChordPlayer {
-    strum(chord) {
-        const ctx = getAudioContext();
-        ctx.resume();
-        const now = ctx.currentTime;
-        const strumDelay = 0.04; // 40ms between strings
+    // Without a calibration there is nothing to estimate from until audio has started
+    renderTimingLatency() {
+        const latency = Math.round(timingAnalyzer.getLatency() * 1000);
+        if (timingAnalyzer.latency !== null) {
+            this.timingLatency.textContent = `Latency: ${latency} ms (calibrated)`;
+        } else if (!audioContext) {
+            this.timingLatency.textContent = "Latency: not calibrated";
+        } else {
+            this.timingLatency.textContent = `Latency: ${latency} ms (estimated, calibrate for accuracy)`;
+        }
+    },
 
-        for (let i = 0; i < 6; i++) {
-            const fret = chord.frets[i];
-            if (fret === -1) continue;
+    async calibrateLatency() {
+        if (this.isMetronomeRunning) this.toggleMetronome();
+        this.timingCalibrateBtn.disabled = true;
+        this.timingStartBtn.disabled = true;
+        this.timingLatency.textContent = "Listening to calibration clicks…";
 
-            const freq = openStringFreqs[i] * Math.pow(2, fret / 12);
-            const startTime = now + i * strumDelay;
+        try {
+            looper.latency = await timingAnalyzer.calibrate();
+        } catch (err) {
+            console.error("Latency calibration failed:", err);
+            alert("The microphone couldn't hear the calibration clicks. Turn the speakers up and try again.");
+        }
+        this.timingCalibrateBtn.disabled = false;
+        this.timingStartBtn.disabled = false;
+        this.renderTimingLatency();
+    },
 
-            const osc = ctx.createOscillator();
-            const gain = ctx.createGain();
+    setFinderMode(mode) {
+        this.finderModeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        this.finderFretboard.hidden = mode !== 'fretboard';
+        this.finderListen.hidden = mode !== 'listen';
+        if (mode !== 'listen' && chordListener.isListening) this.toggleChordListening();
+    },
 
-            osc.type = "triangle";
-            osc.frequency.value = freq;
+    // Rows are strings (high E on top, like the diagrams); columns are mute, open and frets 1-12
+    renderFretEditor() {
+        this.fretEditor.innerHTML = "";
+        const strings = tuningManager.getStrings();
 
-            gain.gain.setValueAtTime(0, startTime);
-            gain.gain.linearRampToValueAtTime(0.3, startTime + 0.01);
-            gain.gain.exponentialRampToValueAtTime(0.001, startTime + 1.2);
+        for (let i = strings.length - 1; i >= 0; i--) {
+            const row = document.createElement('div');
+            row.className = 'fret-row';
 
-            osc.connect(gain);
-            gain.connect(ctx.destination);
+            const label = document.createElement('span');
+            label.className = 'fret-row-label';
+            label.textContent = strings[i].name;
+            row.appendChild(label);
 
-            osc.start(startTime);
-            osc.stop(startTime + 1.3);
+            for (let fret = -1; fret <= 12; fret++) {
+                const cell = document.createElement('button');
+                cell.className = 'fret-cell';
+                if (fret === 0) cell.classList.add('open');
+                cell.textContent = fret === -1 ? "x" : fret;
+                cell.title = `String ${strings[i].number}, ${fret === -1 ? "muted" : fret === 0 ? "open" : `fret ${fret}`}`;
+                cell.classList.toggle('selected', this.finderFrets[i] === fret);
+                cell.addEventListener('click', () => {
+                    this.finderFrets[i] = this.finderFrets[i] === fret ? -1 : fret;
+                    practiceLog.touch("chords");
+                    this.renderFretEditor();
+                });
+                row.appendChild(cell);
+            }
+            this.fretEditor.appendChild(row);
         }
-    }
-}
 
-// --- UI Controller ---
-const ui = {
-    // Tuner Elements
-    startTunerBtn: document.getElementById('start-tuner-btn'),
-    tunerStatus: document.getElementById('tuner-status'),
-    noteName: document.getElementById('note-name'),
-    freqDisplay: document.getElementById('frequency-display'),
-    gaugeNeedle: document.getElementById('gauge-needle'),
-    
-    // Metronome Elements
-    startMetronomeBtn: document.getElementById('start-metronome-btn'),
-    bpmSlider: document.getElementById('bpm-slider'),
-    bpmValue: document.getElementById('bpm-value'),
-    bpmDecrease: document.getElementById('bpm-decrease'),
-    bpmIncrease: document.getElementById('bpm-increase'),
-    beatDots: document.querySelectorAll('.dot'),
+        this.identifyFinderShape();
+    },
 
-    // Chord Elements
-    chordGrid: document.getElementById('chord-grid'),
-    chordDetail: document.getElementById('chord-detail'),
-    chordDiagram: document.getElementById('chord-diagram'),
-    playChordBtn: document.getElementById('play-chord-btn'),
+    identifyFinderShape() {
+        const frets = this.finderFrets;
+        const matches = ChordEngine.identifyFrets(frets);
+        const tuning = tuningManager.current.midi;
+        const notes = frets
+            .map((fret, i) => fret >= 0 ? noteStrings[(tuning[i] + fret) % 12] : null)
+            .filter(note => note !== null);
 
-    // State
-    isTunerRunning: false,
-    isMetronomeRunning: false,
-    selectedChord: null,
+        this.finderResult.innerHTML = "";
+        if (notes.length < 2) {
+            this.finderResult.textContent = "Tap at least two strings to name a chord.";
+            this.finderDiagram.innerHTML = "";
+            return;
+        }
 
-    init() {
-        // Tuner Events
-        this.startTunerBtn.addEventListener('click', () => {
-            if (this.isTunerRunning) {
-                tuner.stop();
-                this.startTunerBtn.textContent = "Start Tuner";
-                this.startTunerBtn.classList.remove('active');
-                this.isTunerRunning = false;
-            } else {
-                // Stop metronome if running to avoid audio conflict/noise
-                if (this.isMetronomeRunning) this.toggleMetronome();
-                
-                tuner.start();
-                this.startTunerBtn.textContent = "Stop Tuner";
-                this.startTunerBtn.classList.add('active');
-                this.isTunerRunning = true;
-            }
-        });
+        const heading = document.createElement('div');
+        heading.className = 'finder-best';
+        heading.textContent = matches.length ? matches[0].name : "No chord name found";
+        this.finderResult.appendChild(heading);
 
-        // Metronome Events
-        this.startMetronomeBtn.addEventListener('click', () => this.toggleMetronome());
+        const detail = document.createElement('div');
+        detail.className = 'finder-detail';
+        const alternatives = matches.slice(1, 4).map(match => match.name).join(", ");
+        detail.textContent = `Notes: ${notes.join(" ")}`
+            + (matches.length ? ` · ${matches[0].inversion}` : "")
+            + (alternatives ? ` · also ${alternatives}` : "");
+        this.finderResult.appendChild(detail);
 
-        this.bpmSlider.addEventListener('input', (e) => {
-            this.updateBpm(parseInt(e.target.value));
-        });
+        const fretted = frets.filter(fret => fret > 0);
+        const fingering = ChordEngine.assignFingers(frets);
+        const minFret = fretted.length ? Math.min(...fretted) : 0;
+        const maxFret = fretted.length ? Math.max(...fretted) : 0;
+        ChordDiagram.render({
+            name: matches.length ? matches[0].name : "?",
+            frets: frets.slice(),
+            fingers: fingering ? fingering.fingers : frets.map(() => 0),
+            startFret: maxFret > 4 ? minFret : 0
+        }, this.finderDiagram);
+    },
 
-        this.bpmDecrease.addEventListener('click', () => {
-            const val = parseInt(this.bpmSlider.value) - 1;
-            if (val >= 40) this.updateBpm(val);
-        });
+    async toggleChordListening() {
+        if (chordListener.isListening) {
+            chordListener.stop();
+            this.finderListenBtn.textContent = "Start Listening";
+            this.finderListenBtn.classList.remove('active');
+            this.finderSuggestions.textContent = "";
+            return;
+        }
 
-        this.bpmIncrease.addEventListener('click', () => {
-            const val = parseInt(this.bpmSlider.value) + 1;
-            if (val <= 218) this.updateBpm(val);
-        });
+        // Disabled until the microphone prompt is answered, so a second click can't start another listener
+        this.finderListenBtn.disabled = true;
+        try {
+            await chordListener.start();
+        } catch (err) {
+            console.error("Error accessing microphone:", err);
+            alert("Microphone access is required to listen for chords.");
+            return;
+        } finally {
+            this.finderListenBtn.disabled = false;
+        }
+        this.finderListenBtn.textContent = "Stop Listening";
+        this.finderListenBtn.classList.add('active');
+        this.finderSuggestions.textContent = "Strum a chord…";
+    },
 
-        // Chord Library Events
-        chordData.forEach((chord) => {
-            const btn = document.createElement('button');
-            btn.className = 'chord-btn';
-            btn.textContent = chord.name;
-            btn.addEventListener('click', () => this.selectChord(chord, btn));
-            this.chordGrid.appendChild(btn);
+    showChordSuggestions(suggestions, chroma) {
+        this.finderSuggestions.innerHTML = "";
+        if (!suggestions.length) {
+            this.finderSuggestions.textContent = "Strum a chord…";
+        }
+        suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('span');
+            item.className = index === 0 ? 'suggestion best' : 'suggestion';
+            item.textContent = suggestion.name;
+            item.title = `Match ${Math.round(suggestion.score * 100)}%`;
+            this.finderSuggestions.appendChild(item);
         });
 
-        this.playChordBtn.addEventListener('click', () => {
-            if (this.selectedChord) {
-                chordPlayer.strum(this.selectedChord);
-            }
+        // Pitch-class energy bars, C to B
+        if (this.finderChroma.children.length !== 12) {
+            this.finderChroma.innerHTML = "";
+            noteStrings.forEach((note) => {
+                const bar = document.createElement('div');
+                bar.className = 'chroma-bar';
+                bar.innerHTML = `<div class="chroma-fill"></div><span>${note}</span>`;
+                this.finderChroma.appendChild(bar);
+            });
+        }
+        Array.from(this.finderChroma.children).forEach((bar, i) => {
+            bar.querySelector('.chroma-fill').style.height = `${Math.round(chroma[i] * 100)}%`;
         });
     },
 
     selectChord(chord, btn) {
         this.selectedChord = chord;
+        settings.set("chord", { name: chord.name });
         this.chordGrid.querySelectorAll('.chord-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+        if (btn) btn.classList.add('active');
+        this.voicingPager.hidden = true;
+        this.chordRootSelect.value = "";
         ChordDiagram.render(chord, this.chordDiagram);
         this.chordDetail.classList.add('visible');
     },
 
+    toggleTuner() {
+        if (this.isTunerRunning) {
+            tuner.stop();
+            this.startTunerBtn.textContent = "Start Tuner";
+            this.startTunerBtn.classList.remove('active');
+            this.isTunerRunning = false;
+            this.earStartedTuner = false;
+            practiceLog.end("tuner");
+        } else {
+            // Stop metronome if running to avoid audio conflict/noise
+            if (this.isMetronomeRunning) this.toggleMetronome();
+
+            tuner.start();
+            this.startTunerBtn.textContent = "Stop Tuner";
+            this.startTunerBtn.classList.add('active');
+            this.isTunerRunning = true;
+            practiceLog.begin("tuner");
+        }
+    },
+
     toggleMetronome() {
         if (this.isMetronomeRunning) {
             metronome.stop();
             this.startMetronomeBtn.textContent = "Start";
             this.startMetronomeBtn.classList.remove('active');
             this.isMetronomeRunning = false;
+            practiceLog.end("metronome");
+            if (progressionPlayer.isPlaying) this.stopProgression();
+            this.stopTiming();
         } else {
+            if (tempoDetector.isListening) this.stopTempoListening();
+
             // Stop tuner if running
-            if (this.isTunerRunning) {
-                tuner.stop();
-                this.startTunerBtn.textContent = "Start Tuner";
-                this.startTunerBtn.classList.remove('active');
-                this.isTunerRunning = false;
-            }
+            if (this.isTunerRunning) this.toggleTuner();
 
             metronome.start();
             this.startMetronomeBtn.textContent = "Stop";
             this.startMetronomeBtn.classList.add('active');
             this.isMetronomeRunning = true;
+            practiceLog.begin("metronome", { bpm: metronome.bpm, maxBpm: metronome.bpm, trainer: metronome.trainer.enabled });
         }
     },
 
@@ -544,6 +6250,7 @@ const ui = {
         this.bpmSlider.value = bpm;
         this.bpmValue.textContent = bpm;
         metronome.setBpm(bpm);
+        settings.set("bpm", bpm);
     },
 
     setTunerActive(active) {
@@ -552,11 +6259,77 @@ const ui = {
         } else {
             this.tunerStatus.classList.remove('active');
         }
+        this.setTunerDisplayMode(this.tunerDisplayMode);
+    },
+
+    setTunerDisplayMode(mode) {
+        this.tunerDisplayMode = mode;
+        settings.set("tunerDisplay", mode);
+        this.displayModeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        this.gaugeContainer.hidden = mode !== 'gauge';
+        this.strobeCanvas.hidden = mode !== 'strobe';
+        this.graphCanvas.hidden = mode !== 'graph';
+
+        // Only animate the visible canvas, and only while listening
+        const running = tuner.isPlaying;
+        if (mode === 'strobe' && running) this.strobeDisplay.start();
+        else this.strobeDisplay.stop();
+        if (mode === 'graph' && running) this.pitchGraph.start();
+        else this.pitchGraph.stop();
+    },
+
+    setStrumCheck(enabled) {
+        tuner.setStrumCheck(enabled);
+        settings.set("strumCheck", enabled);
+        this.strumCheckBtn.classList.toggle('active', enabled);
+        this.tunerDisplay.hidden = enabled;
+        this.strumCheckView.hidden = !enabled;
+        this.renderStrumCheck();
+    },
+
+    renderStrumCheck() {
+        this.strumCheckView.innerHTML = "";
+        tuningManager.getStrings().forEach((string) => {
+            const gauge = document.createElement('div');
+            gauge.className = 'mini-gauge';
+            gauge.innerHTML = `
+                <span class="mini-gauge-note">${string.name}</span>
+                <div class="mini-gauge-track">
+                    <div class="mini-gauge-center"></div>
+                    <div class="mini-gauge-needle"></div>
+                </div>
+                <span class="mini-gauge-cents">--</span>`;
+            gauge.title = `String ${string.number} (${string.fullName})`;
+            this.strumCheckView.appendChild(gauge);
+        });
+    },
+
+    // Vertical gauges, one per string: up is sharp, down is flat
+    updateStrumCheck(strings, cents) {
+        const gauges = this.strumCheckView.querySelectorAll('.mini-gauge');
+        gauges.forEach((gauge, index) => {
+            const value = cents[index];
+            const needle = gauge.querySelector('.mini-gauge-needle');
+            const label = gauge.querySelector('.mini-gauge-cents');
+            const heard = value !== null && value !== undefined;
+
+            gauge.classList.toggle('silent', !heard);
+            gauge.classList.toggle('in-tune', heard && Math.abs(value) < 5);
+            needle.style.bottom = `${heard ? Math.max(0, Math.min(100, 50 + value)) : 50}%`;
+            label.textContent = heard ? `${value >= 0 ? "+" : ""}${Math.round(value)}` : "--";
+        });
     },
 
-    updateTunerDisplay(note, frequency, cents) {
+    updateTunerDisplay({ note, frequency, cents, stringIndex }) {
+        const string = tuningManager.getStrings()[stringIndex];
         this.noteName.textContent = note;
         this.freqDisplay.textContent = `${frequency.toFixed(1)} Hz`;
+        this.tunerTarget.textContent =
+            `String ${string.number} (${string.fullName}) ${cents >= 0 ? "+" : ""}${Math.round(cents)}¢`;
+
+        this.stringSelector.querySelectorAll('.string-btn').forEach((btn) => {
+            btn.classList.toggle('detected', btn.dataset.index === String(stringIndex));
+        });
 
         // Update Gauge
         // Cents range from -50 to +50 usually for display
@@ -567,6 +6340,8 @@ const ui = {
         const clampedPercent = Math.max(0, Math.min(100, percent));
         this.gaugeNeedle.style.left = `${clampedPercent}%`;
 
+        this.announceTuning(note, cents);
+
         // Exact match visual
         if (Math.abs(cents) < 5) {
             this.noteName.classList.add('in-tune');
@@ -580,12 +6355,185 @@ const ui = {
     resetTunerDisplay() {
         this.noteName.textContent = "--";
         this.freqDisplay.textContent = "0 Hz";
+        this.tunerTarget.textContent = tuningManager.current.name;
         this.gaugeNeedle.style.left = "50%";
         this.noteName.classList.remove('in-tune');
+        this.stringSelector.querySelectorAll('.string-btn').forEach(btn => btn.classList.remove('detected'));
+        this.updateStrumCheck([], []);
     },
 
     setMetronomeActive(active) {
         // Visual updates if needed when started/stopped
+        if (!active) {
+            this.metronomeProgress.textContent = "";
+            this.beatDotsContainer.classList.remove('muted');
+        }
+    },
+
+    renderVoiceOptions() {
+        this.voiceSelect.innerHTML = "";
+        this.accentVoiceSelect.innerHTML = "";
+
+        const sameOption = document.createElement('option');
+        sameOption.value = "";
+        sameOption.textContent = "Same as beats";
+        this.accentVoiceSelect.appendChild(sameOption);
+
+        Object.keys(clickVoices).forEach((id) => {
+            [this.voiceSelect, this.accentVoiceSelect].forEach((select) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = clickVoices[id].name;
+                select.appendChild(option);
+            });
+        });
+
+        this.voiceSelect.value = metronome.voice;
+        this.accentVoiceSelect.value = metronome.accentVoice || "";
+        this.syncVoiceVolumes();
+    },
+
+    // Volume sliders show the volume of whichever voice they currently control
+    syncVoiceVolumes() {
+        this.voiceVolume.value = metronome.getVoiceVolume(metronome.voice);
+        this.accentVoiceVolume.value = metronome.getVoiceVolume(metronome.accentVoice || metronome.voice);
+    },
+
+    // Reads a whole-number field, falling back to (and restoring) the current value when invalid
+    readNumber(input, fallback, min, max) {
+        const value = parseInt(input.value);
+        const result = isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+        input.value = result;
+        return result;
+    },
+
+    updateTrainer() {
+        const min = parseInt(this.bpmSlider.min);
+        const max = parseInt(this.bpmSlider.max);
+        const { trainer } = metronome;
+        metronome.setTrainer({
+            enabled: this.trainerEnabled.checked,
+            startBpm: this.readNumber(this.trainerStart, trainer.startBpm, min, max),
+            step: this.readNumber(this.trainerStep, trainer.step, 1, 50),
+            everyBars: this.readNumber(this.trainerEvery, trainer.everyBars, 1, 64),
+            targetBpm: this.readNumber(this.trainerTarget, trainer.targetBpm, min, max)
+        });
+        if (!this.isMetronomeRunning && metronome.trainer.enabled) this.updateBpm(metronome.trainer.startBpm);
+    },
+
+    updateGap() {
+        const { gap } = metronome;
+        metronome.setGap({
+            enabled: this.gapEnabled.checked,
+            barsOn: this.readNumber(this.gapOn, gap.barsOn, 1, 32),
+            barsOff: this.readNumber(this.gapOff, gap.barsOff, 1, 32)
+        });
+    },
+
+    // Bar counter and tempo, updated as each bar starts
+    updateMetronomeProgress({ bar, bpm, targetBpm, muted }) {
+        if (!this.isMetronomeRunning) return;
+        this.bpmSlider.value = bpm;
+        this.bpmValue.textContent = bpm;
+
+        let text = `Bar ${bar}`;
+        if (targetBpm !== null) text += ` · ${bpm} → ${targetBpm} BPM`;
+        if (muted) text += " · muted";
+        this.metronomeProgress.textContent = text;
+        this.beatDotsContainer.classList.toggle('muted', muted);
+        if (this.announceBars) this.beatAnnouncer.textContent = text;
+    },
+
+    // Opt-in, like beats: reading out every bar is too chatty for most screen reader users
+    setAnnounceBars(enabled) {
+        this.announceBars = enabled;
+        this.announceBarsToggle.checked = enabled;
+        settings.set("announceBars", enabled);
+        if (!enabled && !this.announceBeats) this.beatAnnouncer.textContent = "";
+    },
+
+    setAnnounceBeats(enabled) {
+        this.announceBeats = enabled;
+        this.announceBeatsToggle.checked = enabled;
+        settings.set("announceBeats", enabled);
+        if (!enabled && !this.announceBars) this.beatAnnouncer.textContent = "";
+    },
+
+    tapTempo() {
+        const bpm = tapTempo.tap();
+        this.tapTempoBtn.classList.add('active');
+        setTimeout(() => this.tapTempoBtn.classList.remove('active'), 100);
+        if (bpm !== null) this.setBpmFromDetection(bpm);
+    },
+
+    async toggleTempoListening() {
+        if (tempoDetector.isListening) {
+            this.stopTempoListening();
+            return;
+        }
+
+        // The metronome's own clicks would be heard as the tempo
+        if (this.isMetronomeRunning) this.toggleMetronome();
+
+        // Disabled until the microphone prompt is answered, so a second click can't start another detector
+        this.listenTempoBtn.disabled = true;
+        try {
+            await tempoDetector.start();
+        } catch (err) {
+            console.error("Error accessing microphone:", err);
+            alert("Microphone access is required to detect the tempo.");
+            return;
+        } finally {
+            this.listenTempoBtn.disabled = false;
+        }
+        this.listenTempoBtn.textContent = "Stop Listening";
+        this.listenTempoBtn.classList.add('active');
+        this.tempoStatus.textContent = "Listening… play along for a few seconds";
+    },
+
+    stopTempoListening() {
+        tempoDetector.stop();
+        this.listenTempoBtn.textContent = "Listen";
+        this.listenTempoBtn.classList.remove('active');
+        this.tempoStatus.textContent = "";
+    },
+
+    onTempoDetected(bpm, confidence) {
+        if (confidence < 0.1) {
+            this.tempoStatus.textContent = "Listening… no steady beat yet";
+            return;
+        }
+        const rounded = this.setBpmFromDetection(bpm);
+        this.tempoStatus.textContent = `Detected ${rounded} BPM`;
+    },
+
+    // Rounds and clamps a detected tempo to the slider's range, then applies it
+    setBpmFromDetection(bpm) {
+        const min = parseInt(this.bpmSlider.min);
+        const max = parseInt(this.bpmSlider.max);
+        const rounded = Math.max(min, Math.min(max, Math.round(bpm)));
+        this.updateBpm(rounded);
+        return rounded;
+    },
+
+    // One dot per beat; clicking a dot cycles its accent level
+    renderBeatDots() {
+        this.beatDotsContainer.innerHTML = "";
+        const groupStarts = metronome.getGroupStarts();
+
+        this.beatDots = metronome.accents.map((accent, index) => {
+            const dot = document.createElement('button');
+            dot.className = `dot accent-${accent}`;
+            if (index > 0 && groupStarts.includes(index)) dot.classList.add('group-start');
+            dot.title = `Beat ${index + 1}: ${accent}`;
+            dot.addEventListener('click', () => {
+                const level = metronome.cycleAccent(index);
+                dot.className = dot.className.replace(/accent-\w+/, `accent-${level}`);
+                dot.title = `Beat ${index + 1}: ${level}`;
+            });
+            this.beatDotsContainer.appendChild(dot);
+            return dot;
+        });
     },
 
     highlightBeat(beatNumber) {
@@ -595,11 +6543,33 @@ const ui = {
                 setTimeout(() => dot.classList.remove('active'), 150);
             }
         });
+        // With bars announced too, the downbeat is read out as the bar
+        if (this.announceBeats && !(beatNumber === 0 && this.announceBars)) {
+            this.beatAnnouncer.textContent = String(beatNumber + 1);
+        }
     }
 };
 
 // Initialize
+settings.load();
+referencePitch.load();
+const tuningManager = new TuningManager();
 const tuner = new Tuner();
 const metronome = new Metronome();
 const chordPlayer = new ChordPlayer();
+const chordLibrary = new ChordLibrary();
+const progressionPlayer = new ProgressionPlayer();
+const earTrainer = new EarTrainer();
+const practiceLog = new PracticeLog();
+const looper = new Looper(info => ui.updateLooper(info));
+const midiControl = new MidiControl(id => ui.runAction(id), () => ui.renderShortcuts());
+const timingAnalyzer = new TimingAnalyzer(hit => ui.showTimingHit(hit));
+const tapTempo = new TapTempo();
+const tempoDetector = new TempoDetector((bpm, confidence) => ui.onTempoDetected(bpm, confidence));
+const chordListener = new ChordListener((suggestions, chroma) => ui.showChordSuggestions(suggestions, chroma));
 ui.init();
+
+// Offline support; service workers need the page to be served over HTTP(S)
+if ("serviceWorker" in navigator && location.protocol !== "file:") {
+    navigator.serviceWorker.register("sw.js").catch(err => console.warn("Service worker registration failed:", err));
+}
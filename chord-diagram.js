@@ -0,0 +1,256 @@
+/**
+ * Chord Diagram Renderer
+ * Draws chord shapes as SVG markup strings with no browser dependencies, so the
+ * same diagram can be shown in the page, saved as a file or snapshot-tested.
+ * Loaded by the page before app.js, and by Node (module.exports) for testing.
+ */
+
+// String names used in descriptions and messages, low (6th) to high (1st)
+const stringOrdinals = ["6th", "5th", "4th", "3rd", "2nd", "1st"];
+
+const ChordDiagram = {
+    minFrets: 5,
+    stringSpacing: 25,
+    fretSpacing: 30,
+    leftPad: 30,
+    topPad: 30,
+    fontFamily: "Inter, sans-serif",
+
+    // The background is only painted when asked for (standalone files, prints)
+    themes: {
+        dark: {
+            background: "#202024", text: "#ffffff", muted: "#a1a1aa", fret: "#555",
+            string: "#888", nut: "#ffffff", dot: "#8257e5", dotText: "#ffffff"
+        },
+        light: {
+            background: "#ffffff", text: "#121214", muted: "#52525b", fret: "#a1a1aa",
+            string: "#71717a", nut: "#121214", dot: "#8257e5", dotText: "#ffffff"
+        }
+    },
+
+    // Options every diagram starts from; the page sets leftHanded from the user's settings
+    defaults: { theme: "dark", leftHanded: false, background: false },
+
+    // Strings held down by one finger at one fret form a barre: { fret, finger, from, to }
+    findBarres(chord) {
+        const groups = {};
+        chord.frets.forEach((fret, i) => {
+            const finger = chord.fingers[i];
+            if (fret <= 0 || finger <= 0) return;
+            const key = `${finger}:${fret}`;
+            if (!groups[key]) groups[key] = { fret, finger, from: i, to: i, count: 0 };
+            groups[key].to = i;
+            groups[key].count++;
+        });
+        return Object.values(groups)
+            .filter(group => group.count >= 2)
+            .map(({ fret, finger, from, to }) => ({ fret, finger, from, to }));
+    },
+
+    // Frets to draw: enough for the chord's stretch, at least minFrets, or as requested
+    getFretCount(chord, options = {}) {
+        if (options.numFrets) return options.numFrets;
+        const offset = chord.startFret > 0 ? chord.startFret - 1 : 0;
+        const highest = Math.max(0, ...chord.frets) - offset;
+        return Math.max(this.minFrets, highest);
+    },
+
+    getSize(numFrets) {
+        return {
+            width: this.leftPad + numFrets * this.fretSpacing + 20,
+            height: this.topPad + 5 * this.stringSpacing + 30
+        };
+    },
+
+    /**
+     * Text version of a diagram for screen readers, e.g. "C: 6th string muted,
+     * 5th string fret 3 finger 3, 4th string fret 2 finger 2, ...".
+     */
+    describe(chord) {
+        const barres = this.findBarres(chord);
+        const strings = chord.frets.map((fret, i) => {
+            if (fret === -1) return `${stringOrdinals[i]} string muted`;
+            if (fret === 0) return `${stringOrdinals[i]} string open`;
+            const finger = chord.fingers[i] > 0 ? ` finger ${chord.fingers[i]}` : "";
+            return `${stringOrdinals[i]} string fret ${fret}${finger}`;
+        });
+        const barreText = barres.map(barre =>
+            `, finger ${barre.finger} barres fret ${barre.fret} from the ${stringOrdinals[barre.from]} to the ${stringOrdinals[barre.to]} string`);
+        return `${chord.name}: ${strings.join(", ")}${barreText.join("")}`;
+    },
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    },
+
+    attributes(values) {
+        return Object.keys(values).map(key => ` ${key}="${this.escape(values[key])}"`).join("");
+    },
+
+    // One element as markup; text (if any) becomes its escaped content
+    element(tag, attributes, text) {
+        const attrs = this.attributes(attributes);
+        return text === undefined ? `<${tag}${attrs}/>` : `<${tag}${attrs}>${this.escape(text)}</${tag}>`;
+    },
+
+    // An <svg> root around markup that's already built
+    wrap(attributes, content, standalone) {
+        const namespace = standalone ? { xmlns: "http://www.w3.org/2000/svg" } : {};
+        return `<svg${this.attributes(Object.assign(namespace, attributes))}>${content}</svg>`;
+    },
+
+    label(x, y, size, fill, weight, text) {
+        return this.element("text", {
+            x, y, "text-anchor": "middle", fill, "font-size": size, "font-weight": weight, "font-family": this.fontFamily
+        }, text);
+    },
+
+    /**
+     * The elements of one diagram, without the enclosing <svg>. Frets run left
+     * to right from the nut; left-handed diagrams are mirrored so the nut is on
+     * the right, with the text kept readable.
+     */
+    drawShapes(chord, numFrets, opts) {
+        const theme = this.themes[opts.theme] || this.themes.dark;
+        const { stringSpacing, fretSpacing, leftPad, topPad } = this;
+        const numStrings = 6;
+        const { width } = this.getSize(numFrets);
+        const x = value => opts.leftHanded ? width - value : value;
+        const bottom = topPad + (numStrings - 1) * stringSpacing;
+        const parts = [];
+
+        // Chord name
+        parts.push(this.label(x(leftPad + numFrets * fretSpacing / 2), 16, 16, theme.text, 700, chord.name));
+
+        // Up the neck, the first fret drawn is startFret; label it below the diagram
+        const fretOffset = chord.startFret > 0 ? chord.startFret - 1 : 0;
+        if (chord.startFret > 0) {
+            parts.push(this.label(x(leftPad + fretSpacing / 2), bottom + 22, 12, theme.muted, 600, `${chord.startFret}fr`));
+        }
+
+        // Nut (thick line for open position)
+        if (chord.startFret === 0) {
+            parts.push(this.element("line", {
+                x1: x(leftPad), y1: topPad, x2: x(leftPad), y2: bottom, stroke: theme.nut, "stroke-width": 4
+            }));
+        }
+
+        // Fret lines
+        for (let i = 0; i <= numFrets; i++) {
+            const fretX = x(leftPad + i * fretSpacing);
+            parts.push(this.element("line", {
+                x1: fretX, y1: topPad, x2: fretX, y2: bottom,
+                stroke: theme.fret, "stroke-width": i === 0 && chord.startFret > 0 ? 2 : 1
+            }));
+        }
+
+        // String lines (top = high E, bottom = low E)
+        for (let i = 0; i < numStrings; i++) {
+            const y = topPad + i * stringSpacing;
+            parts.push(this.element("line", {
+                x1: x(leftPad), y1: y, x2: x(leftPad + numFrets * fretSpacing), y2: y,
+                stroke: theme.string, "stroke-width": 1.5
+            }));
+        }
+
+        // Barres: one rounded bar across the strings a single finger holds down
+        // Visual row 0 (top) = string index 5 (high E), row 5 (bottom) = string index 0 (low E)
+        const barres = this.findBarres(chord);
+        barres.forEach((barre) => {
+            const cx = x(leftPad + (barre.fret - fretOffset - 0.5) * fretSpacing);
+            const yTop = topPad + (numStrings - 1 - barre.to) * stringSpacing;
+            const yBottom = topPad + (numStrings - 1 - barre.from) * stringSpacing;
+            parts.push(this.element("rect", {
+                x: cx - 10, y: yTop - 10, width: 20, height: yBottom - yTop + 20, rx: 10, fill: theme.dot
+            }));
+            parts.push(this.label(cx, (yTop + yBottom) / 2 + 4, 11, theme.dotText, 600, barre.finger));
+        });
+        const inBarre = (i) => barres.some(barre =>
+            chord.frets[i] === barre.fret && chord.fingers[i] === barre.finger && i >= barre.from && i <= barre.to);
+
+        // Finger dots, muted/open markers
+        for (let i = 0; i < numStrings; i++) {
+            const y = topPad + (numStrings - 1 - i) * stringSpacing;
+            const fret = chord.frets[i];
+            const finger = chord.fingers[i];
+
+            if (fret === -1) {
+                // Muted string: "x" beside the nut
+                parts.push(this.label(x(leftPad - 16), y + 5, 14, theme.muted, 600, "x"));
+            } else if (fret === 0) {
+                // Open string: "o" beside the nut
+                parts.push(this.element("circle", {
+                    cx: x(leftPad - 14), cy: y, r: 6, fill: "none", stroke: theme.muted, "stroke-width": 1.5
+                }));
+            } else if (!inBarre(i)) {
+                // Fretted note: filled circle with finger number
+                const cx = x(leftPad + (fret - fretOffset - 0.5) * fretSpacing);
+                parts.push(this.element("circle", { cx, cy: y, r: 10, fill: theme.dot }));
+                if (finger > 0) parts.push(this.label(cx, y + 4, 11, theme.dotText, 600, finger));
+            }
+        }
+
+        return parts.join("");
+    },
+
+    /**
+     * A chord diagram as SVG markup. Options (over defaults): numFrets, theme
+     * ("dark" or "light"), leftHanded, background (paint the theme background)
+     * and standalone (add the XML namespace so the string is a valid .svg file).
+     */
+    toSVG(chord, options = {}) {
+        const opts = Object.assign({}, this.defaults, options);
+        const numFrets = this.getFretCount(chord, opts);
+        const { width, height } = this.getSize(numFrets);
+        const theme = this.themes[opts.theme] || this.themes.dark;
+
+        const background = opts.background ? this.element("rect", { width, height, fill: theme.background }) : "";
+        return this.wrap({
+            width, height, viewBox: `0 0 ${width} ${height}`, role: "img", "aria-label": this.describe(chord)
+        }, background + this.drawShapes(chord, numFrets, opts), opts.standalone);
+    },
+
+    /**
+     * Several chords in one SVG, in rows of `columns` with an optional title,
+     * for chord charts. Every diagram gets the same number of frets so the grid
+     * lines up. Takes the toSVG options plus title, columns (4) and gap (16).
+     */
+    chartToSVG(chords, options = {}) {
+        const opts = Object.assign({ title: "", columns: 4, gap: 16 }, this.defaults, options);
+        const theme = this.themes[opts.theme] || this.themes.dark;
+        const numFrets = opts.numFrets || Math.max(this.minFrets, ...chords.map(chord => this.getFretCount(chord)));
+        const cell = this.getSize(numFrets);
+        const columns = Math.max(1, Math.min(opts.columns, chords.length));
+        const rows = Math.ceil(chords.length / columns);
+        const titleHeight = opts.title ? 40 : 0;
+        const width = columns * cell.width + (columns + 1) * opts.gap;
+        const height = titleHeight + rows * cell.height + (rows + 1) * opts.gap;
+
+        const parts = [];
+        if (opts.background) parts.push(this.element("rect", { width, height, fill: theme.background }));
+        if (opts.title) parts.push(this.label(width / 2, opts.gap + 20, 20, theme.text, 700, opts.title));
+        chords.forEach((chord, index) => {
+            const left = opts.gap + (index % columns) * (cell.width + opts.gap);
+            const top = titleHeight + opts.gap + Math.floor(index / columns) * (cell.height + opts.gap);
+            parts.push(`<g transform="translate(${left} ${top})">${this.drawShapes(chord, numFrets, opts)}</g>`);
+        });
+
+        return this.wrap({
+            width, height, viewBox: `0 0 ${width} ${height}`, role: "img",
+            "aria-label": `${opts.title || "Chord chart"}: ${chords.map(chord => chord.name).join(", ")}`
+        }, parts.join(""), opts.standalone);
+    },
+
+    // Puts a diagram into a page element
+    render(chord, container, options = {}) {
+        container.innerHTML = this.toSVG(chord, options);
+    }
+};
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = ChordDiagram;
+}
@@ -0,0 +1,302 @@
+/**
+ * Pitch Detection
+ * YIN fundamental frequency estimation, result smoothing, spectral per-string
+ * estimation for strummed chords and chromagrams, as pure functions.
+ * Loaded by the page, by pitch-worker.js, and by Node (module.exports) for testing.
+ */
+
+const PitchDetection = {
+    defaults: {
+        minFrequency: 60,     // Hz, below a drop-C low string
+        maxFrequency: 1400,   // Hz, above the 22nd fret of the high E string
+        threshold: 0.12,      // YIN absolute threshold on the normalized difference
+        noiseGate: 0.01       // RMS below this is treated as silence
+    },
+
+    /**
+     * Allocates the scratch memory yin() needs for buffers of a given length,
+     * so the detector can run every frame without creating garbage.
+     */
+    createScratch(bufferLength) {
+        return { difference: new Float32Array(bufferLength) };
+    },
+
+    /**
+     * Estimates the fundamental frequency of a mono buffer with the YIN method.
+     * Returns { frequency, confidence, rms }; frequency is -1 when no pitch is found.
+     * Confidence is 1 minus the normalized difference at the chosen period (0..1).
+     */
+    yin(buffer, sampleRate, options = {}, scratch = null) {
+        const opts = Object.assign({}, this.defaults, options);
+        const size = buffer.length;
+
+        let rms = 0;
+        for (let i = 0; i < size; i++) {
+            rms += buffer[i] * buffer[i];
+        }
+        rms = Math.sqrt(rms / size);
+
+        if (rms < opts.noiseGate) return { frequency: -1, confidence: 0, rms };
+
+        const minTau = Math.max(2, Math.floor(sampleRate / opts.maxFrequency));
+        const maxTau = Math.min(Math.floor(size / 2), Math.ceil(sampleRate / opts.minFrequency));
+        const windowSize = size - maxTau;
+        if (maxTau <= minTau + 1) return { frequency: -1, confidence: 0, rms };
+
+        const diff = (scratch && scratch.difference.length >= maxTau + 1)
+            ? scratch.difference
+            : new Float32Array(maxTau + 1);
+
+        // Difference function d(tau)
+        for (let tau = 1; tau <= maxTau; tau++) {
+            let sum = 0;
+            for (let j = 0; j < windowSize; j++) {
+                const delta = buffer[j] - buffer[j + tau];
+                sum += delta * delta;
+            }
+            diff[tau] = sum;
+        }
+
+        // Cumulative mean normalized difference d'(tau)
+        diff[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxTau; tau++) {
+            runningSum += diff[tau];
+            diff[tau] = runningSum > 0 ? diff[tau] * tau / runningSum : 1;
+        }
+
+        // First dip below the absolute threshold, walked down to its local minimum
+        let tauEstimate = -1;
+        for (let tau = minTau; tau < maxTau; tau++) {
+            if (diff[tau] < opts.threshold) {
+                while (tau + 1 < maxTau && diff[tau + 1] < diff[tau]) tau++;
+                tauEstimate = tau;
+                break;
+            }
+        }
+
+        // No dip under the threshold: take the global minimum, then prefer the
+        // shortest period whose dip is nearly as deep. This avoids locking onto
+        // a multiple of the true period (the classic "octave too low" error).
+        if (tauEstimate === -1) {
+            let best = minTau;
+            for (let tau = minTau + 1; tau < maxTau; tau++) {
+                if (diff[tau] < diff[best]) best = tau;
+            }
+            for (let divisor = 4; divisor >= 2; divisor--) {
+                const candidate = this.localMinimumNear(diff, Math.round(best / divisor), minTau, maxTau);
+                if (candidate !== -1 && diff[candidate] < diff[best] + 0.1) {
+                    best = candidate;
+                    break;
+                }
+            }
+            tauEstimate = best;
+        }
+
+        const confidence = Math.max(0, Math.min(1, 1 - diff[tauEstimate]));
+        const period = this.parabolicInterpolation(diff, tauEstimate, maxTau);
+
+        return { frequency: sampleRate / period, confidence, rms };
+    },
+
+    // Lowest point of the normalized difference within two samples of tau
+    localMinimumNear(diff, tau, minTau, maxTau) {
+        if (tau < minTau || tau >= maxTau) return -1;
+        let best = tau;
+        for (let i = Math.max(minTau, tau - 2); i <= Math.min(maxTau - 1, tau + 2); i++) {
+            if (diff[i] < diff[best]) best = i;
+        }
+        return best;
+    },
+
+    // Refines an integer lag to a fractional one from its two neighbours
+    parabolicInterpolation(values, index, maxIndex) {
+        if (index < 1 || index >= maxIndex) return index;
+        const x1 = values[index - 1], x2 = values[index], x3 = values[index + 1];
+        const a = (x1 + x3 - 2 * x2) / 2;
+        const b = (x3 - x1) / 2;
+        return a ? index - b / (2 * a) : index;
+    },
+
+    /**
+     * Creates a smoother that turns a stream of raw yin() results into a steady
+     * frequency for display. It drops low-confidence frames, folds isolated
+     * octave jumps back onto the current note, takes a running median and then
+     * eases toward it. push() returns the smoothed frequency or -1 for silence.
+     */
+    createSmoother(options = {}) {
+        const opts = Object.assign({
+            minConfidence: 0.8,   // Ignore frames the detector is unsure about
+            medianSize: 5,        // Frames in the running median
+            easing: 0.35,         // Fraction of the way to move toward the median each frame
+            holdFrames: 8,        // Missing frames tolerated before the note is released
+            octaveTolerance: 60,  // Cents from an exact octave that count as an octave jump
+            octaveHoldFrames: 3   // Octave jumps folded back before accepting them as a new note
+        }, options);
+
+        const history = [];
+        let current = -1;
+        let missed = 0;
+        let octaveJumps = 0;
+
+        return {
+            push(result) {
+                if (!result || result.frequency <= 0 || result.confidence < opts.minConfidence) {
+                    missed++;
+                    if (missed > opts.holdFrames) this.reset();
+                    return current;
+                }
+                missed = 0;
+
+                let frequency = result.frequency;
+                if (current > 0) {
+                    const cents = 1200 * Math.log2(frequency / current);
+                    const octaveUp = Math.abs(cents - 1200) < opts.octaveTolerance;
+                    const octaveDown = Math.abs(cents + 1200) < opts.octaveTolerance;
+
+                    // A lasting octave change is a real new note, a brief one is an error
+                    octaveJumps = (octaveUp || octaveDown) ? octaveJumps + 1 : 0;
+                    if (octaveJumps > 0 && octaveJumps <= opts.octaveHoldFrames) {
+                        frequency = octaveUp ? frequency / 2 : frequency * 2;
+                    } else if (Math.abs(cents) > 100) {
+                        history.length = 0; // A new note: start over
+                        octaveJumps = 0;
+                    }
+                }
+
+                history.push(frequency);
+                if (history.length > opts.medianSize) history.shift();
+
+                const median = PitchDetection.median(history);
+                current = (current > 0 && history.length > 1)
+                    ? current * Math.pow(median / current, opts.easing)
+                    : median;
+                return current;
+            },
+
+            reset() {
+                history.length = 0;
+                current = -1;
+                missed = 0;
+                octaveJumps = 0;
+            }
+        };
+    },
+
+    /**
+     * Estimates how far each open string is from its target in a strummed chord,
+     * from an AnalyserNode spectrum in dB (getFloatFrequencyData). Each string is
+     * measured at its first few harmonics; harmonics that coincide with another
+     * string's (e.g. A2 x3 = E4) are skipped when a clean one is available.
+     * Returns one entry per target: { frequency, cents, level } or null if not heard.
+     */
+    estimateStrings(spectrum, sampleRate, fftSize, targets, options = {}) {
+        const opts = Object.assign({
+            harmonics: 3,       // Harmonics examined per string
+            searchCents: 70,    // Half-width of the search window around each target
+            minLevel: -85,      // dB a peak must exceed to count as heard
+            minProminence: 12   // dB a peak must stand above the window's edges
+        }, options);
+
+        const binWidth = sampleRate / fftSize;
+        const shared = (frequency, ownIndex) => targets.some((other, index) => {
+            if (index === ownIndex) return false;
+            for (let h = 1; h <= opts.harmonics; h++) {
+                if (Math.abs(1200 * Math.log2(frequency / (other * h))) < opts.searchCents) return true;
+            }
+            return false;
+        });
+
+        return targets.map((target, index) => {
+            const estimates = [];
+            for (let h = 1; h <= opts.harmonics; h++) {
+                const centre = target * h;
+                const peak = this.findSpectralPeak(spectrum, centre, opts.searchCents, binWidth);
+                if (!peak || peak.level < opts.minLevel || peak.prominence < opts.minProminence) continue;
+                estimates.push({
+                    frequency: peak.frequency / h,
+                    weight: Math.pow(10, peak.level / 20),
+                    level: peak.level,
+                    shared: shared(centre, index)
+                });
+            }
+
+            const clean = estimates.filter(estimate => !estimate.shared);
+            const usable = clean.length ? clean : estimates;
+            if (!usable.length) return null;
+
+            const totalWeight = usable.reduce((sum, e) => sum + e.weight, 0);
+            const frequency = usable.reduce((sum, e) => sum + e.frequency * e.weight, 0) / totalWeight;
+            return {
+                frequency,
+                cents: 1200 * Math.log2(frequency / target),
+                level: Math.max(...usable.map(e => e.level))
+            };
+        });
+    },
+
+    // Highest bin within ±cents of a frequency, refined by parabolic interpolation
+    findSpectralPeak(spectrum, frequency, cents, binWidth) {
+        const ratio = Math.pow(2, cents / 1200);
+        const low = Math.max(1, Math.floor(frequency / ratio / binWidth));
+        const high = Math.min(spectrum.length - 2, Math.ceil(frequency * ratio / binWidth));
+        if (high <= low) return null;
+
+        let best = low;
+        for (let bin = low + 1; bin <= high; bin++) {
+            if (spectrum[bin] > spectrum[best]) best = bin;
+        }
+        if (best === low || best === high) return null; // Rising into the window edge: not a peak here
+
+        const edge = Math.max(spectrum[low], spectrum[high]);
+        const offset = this.parabolicInterpolation(spectrum, best, spectrum.length - 1) - best;
+        return {
+            frequency: (best + offset) * binWidth,
+            level: spectrum[best],
+            prominence: spectrum[best] - edge
+        };
+    },
+
+    /**
+     * Folds an AnalyserNode spectrum in dB into a 12-bin chromagram (index 0 = C),
+     * normalized so the strongest pitch class is 1. Each bin's energy goes to the
+     * nearest equal-tempered pitch class for the given A4 reference.
+     */
+    chromagram(spectrum, sampleRate, fftSize, options = {}) {
+        const opts = Object.assign({
+            referencePitch: 440,
+            minFrequency: 70,
+            maxFrequency: 2000,
+            floor: -90          // dB below which bins are ignored
+        }, options);
+
+        const chroma = new Float32Array(12);
+        const binWidth = sampleRate / fftSize;
+        const low = Math.max(1, Math.floor(opts.minFrequency / binWidth));
+        const high = Math.min(spectrum.length - 1, Math.ceil(opts.maxFrequency / binWidth));
+
+        for (let bin = low; bin <= high; bin++) {
+            if (spectrum[bin] < opts.floor) continue;
+            const midi = 69 + 12 * Math.log2((bin * binWidth) / opts.referencePitch);
+            const pitchClass = ((Math.round(midi) % 12) + 12) % 12;
+            const magnitude = Math.pow(10, spectrum[bin] / 20);
+            chroma[pitchClass] += magnitude * magnitude;
+        }
+
+        const peak = Math.max(...chroma);
+        if (peak > 0) {
+            for (let i = 0; i < 12; i++) chroma[i] /= peak;
+        }
+        return chroma;
+    },
+
+    median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+};
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = PitchDetection;
+}
@@ -0,0 +1,20 @@
+/**
+ * Pitch Detection Worker
+ * Runs PitchDetection.yin off the main thread. Each message carries a sample
+ * buffer that is transferred back with the result so the tuner can reuse it.
+ */
+
+importScripts("pitch-detection.js");
+
+let scratch = null;
+
+self.onmessage = (e) => {
+    const { buffer, sampleRate, options } = e.data;
+
+    if (!scratch || scratch.difference.length < buffer.length) {
+        scratch = PitchDetection.createScratch(buffer.length);
+    }
+
+    const result = PitchDetection.yin(buffer, sampleRate, options, scratch);
+    self.postMessage({ result, buffer }, [buffer.buffer]);
+};
@@ -0,0 +1,34 @@
+/**
+ * Recorder Worklet
+ * Passes microphone input to the main thread in blocks of 2048 samples, each
+ * tagged with the context frame of its first sample so recordings can be
+ * lined up exactly with the metronome clock.
+ */
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.blockSize = 2048;
+        this.buffer = new Float32Array(this.blockSize);
+        this.filled = 0;
+        this.startFrame = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (!input) return true;
+
+        for (let i = 0; i < input.length; i++) {
+            if (this.filled === 0) this.startFrame = currentFrame + i;
+            this.buffer[this.filled++] = input[i];
+            if (this.filled === this.blockSize) {
+                this.port.postMessage({ samples: this.buffer, frame: this.startFrame }, [this.buffer.buffer]);
+                this.buffer = new Float32Array(this.blockSize);
+                this.filled = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor("recorder-processor", RecorderProcessor);
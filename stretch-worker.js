@@ -0,0 +1,14 @@
+/**
+ * Time Stretch Worker
+ * Runs TimeStretch.wsola off the main thread, so slowing down a loop doesn't
+ * hold up the metronome's scheduler. Each message is answered with its id and
+ * the stretched samples.
+ */
+
+importScripts("time-stretch.js");
+
+self.onmessage = (e) => {
+    const { id, samples, rate, sampleRate } = e.data;
+    const stretched = TimeStretch.wsola(samples, rate, sampleRate);
+    self.postMessage({ id, samples: stretched }, [stretched.buffer]);
+};
@@ -0,0 +1,82 @@
+/**
+ * Service Worker
+ * Caches the app so it works offline (e.g. in a rehearsal room without Wi-Fi).
+ * App files are served from the cache and refreshed in the background, so an
+ * update shows up on the next visit. Google Fonts are cached the first time
+ * they load online.
+ */
+
+const APP_CACHE = "guitar-app-v3";
+const FONT_CACHE = "guitar-app-fonts";
+const APP_FILES = [
+    "./",
+    "index.html",
+    "style.css",
+    "app.js",
+    "pitch-detection.js",
+    "chord-diagram.js",
+    "time-stretch.js",
+    "pitch-worker.js",
+    "stretch-worker.js",
+    "recorder-worklet.js",
+    "manifest.webmanifest",
+    "icon.svg"
+];
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops caches left by older versions
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== APP_CACHE && key !== FONT_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(fromCache(event, FONT_CACHE, {}));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(fromCache(event, APP_CACHE, { ignoreSearch: true }));
+    }
+});
+
+// Answers from the cache when possible while fetching a fresh copy for next time
+async function fromCache(event, cacheName, matchOptions) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, matchOptions);
+
+    const network = fetch(event.request).then((response) => {
+        // Cross-origin stylesheets come back opaque; they are still usable
+        if (response.ok || response.type === "opaque") cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    try {
+        return await network;
+    } catch (err) {
+        if (event.request.mode === "navigate") {
+            const page = await cache.match("index.html");
+            if (page) return page;
+        }
+        throw err;
+    }
+}
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const ChordDiagram = require("../chord-diagram.js");
+
+// Diagrams are compared with the SVG files in test/snapshots. A missing file is
+// written (except in CI); UPDATE_SNAPSHOTS=1 rewrites them all after a deliberate change.
+const snapshotDir = path.join(__dirname, "snapshots");
+
+function matchSnapshot(name, svg) {
+    const file = path.join(snapshotDir, `${name}.svg`);
+    if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+        fs.mkdirSync(snapshotDir, { recursive: true });
+        fs.writeFileSync(file, svg);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `No snapshot ${name}.svg; run with UPDATE_SNAPSHOTS=1 to write it`);
+    assert.strictEqual(svg, fs.readFileSync(file, "utf8"), `${name}.svg doesn't match`);
+}
+
+const C = { name: "C", frets: [-1, 3, 2, 0, 1, 0], fingers: [0, 3, 2, 0, 1, 0] };
+const F = { name: "F", frets: [1, 3, 3, 2, 1, 1], fingers: [1, 3, 4, 2, 1, 1] };
+const Bm7 = { name: "Bm7", frets: [-1, 2, 4, 2, 3, 2], fingers: [0, 1, 3, 1, 2, 1] };
+
+test("ChordDiagram.toSVG", async (t) => {
+    await t.test("right-handed, dark", () => {
+        matchSnapshot("c-dark", ChordDiagram.toSVG(C));
+    });
+
+    await t.test("left-handed mirrors the strings", () => {
+        const svg = ChordDiagram.toSVG(C, { leftHanded: true });
+        assert.notStrictEqual(svg, ChordDiagram.toSVG(C));
+        matchSnapshot("c-dark-left", svg);
+    });
+
+    await t.test("light theme with a background, as exported", () => {
+        matchSnapshot("c-light", ChordDiagram.toSVG(C, { theme: "light", background: true }));
+    });
+
+    await t.test("barre chords, both hands", () => {
+        matchSnapshot("f-barre", ChordDiagram.toSVG(F));
+        matchSnapshot("f-barre-left", ChordDiagram.toSVG(F, { leftHanded: true, theme: "light" }));
+        matchSnapshot("bm7-barre", ChordDiagram.toSVG(Bm7));
+    });
+
+    await t.test("escapes the chord name", () => {
+        const svg = ChordDiagram.toSVG(Object.assign({}, C, { name: "C<b>&\"'" }));
+        assert.ok(!svg.includes("<b>"));
+        assert.ok(svg.includes("C&lt;b&gt;&amp;"));
+        matchSnapshot("escaped-name", svg);
+    });
+});
+
+test("ChordDiagram.chartToSVG lays out a titled page", () => {
+    matchSnapshot("chart", ChordDiagram.chartToSVG([C, F, Bm7], { title: "Songs & <sketches>", theme: "light", columns: 2 }));
+});
+
+test("ChordDiagram.describe reads out strings and barres", () => {
+    assert.strictEqual(ChordDiagram.describe(F),
+        "F: 6th string fret 1 finger 1, 5th string fret 3 finger 3, 4th string fret 3 finger 4, "
+        + "3rd string fret 2 finger 2, 2nd string fret 1 finger 1, 1st string fret 1 finger 1, "
+        + "finger 1 barres fret 1 from the 6th to the 1st string");
+});
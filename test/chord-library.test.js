@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./helpers/load-app.js");
+
+const chord = (name, extra = {}) => Object.assign({ name, frets: [-1, 3, 2, 0, 1, 0], fingers: [0, 3, 2, 0, 1, 0] }, extra);
+
+test("ChordLibrary.importJSON", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const chordLibrary = window.eval("chordLibrary");
+    const saved = () => JSON.parse(window.localStorage.getItem(chordLibrary.storageKey)).collections.map(c => c.name);
+
+    await t.test("skips chords whose tags aren't a list of strings", () => {
+        const { collections, skipped } = chordLibrary.importJSON(JSON.stringify({
+            name: "Tagged",
+            chords: [chord("C", { tags: ["open", "Major "] }), chord("C/open", { tags: "open" }), chord("C/odd", { tags: [1] })]
+        }));
+        assert.deepStrictEqual(Array.from(collections, c => c.chords.length), [1]);
+        assert.deepStrictEqual(Array.from(collections[0].chords[0].tags), ["open", "major"]);
+        assert.deepStrictEqual(Array.from(skipped), ["C/open", "C/odd"]);
+        assert.deepStrictEqual(saved(), ["Tagged"]);
+    });
+
+    await t.test("adds nothing from a list with something else in it", () => {
+        const before = chordLibrary.collections.length;
+        const text = JSON.stringify([{ name: "First", chords: [chord("C")] }, { name: "Second", chords: "C G Am F" }]);
+        assert.throws(() => chordLibrary.importJSON(text), /Not a chord collection/);
+        assert.strictEqual(chordLibrary.collections.length, before);
+        assert.deepStrictEqual(saved(), ["Tagged"]);
+    });
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PitchDetection = require("../pitch-detection.js");
+const { loadApp } = require("./helpers/load-app.js");
+
+function peak(samples) {
+    let max = 0;
+    for (let i = 0; i < samples.length; i++) max = Math.max(max, Math.abs(samples[i]));
+    return max;
+}
+
+test("ChordPlayer.render", async (t) => {
+    const window = await loadApp();
+    const chordPlayer = window.eval("chordPlayer");
+    const chordData = window.eval("chordData");
+    const chord = name => chordData.find(c => c.name === name);
+    t.after(() => window.close());
+
+    await t.test("plucks single strings in tune", async () => {
+        const notes = [
+            { frets: [0, -1, -1, -1, -1, -1], frequency: 82.41 },  // Open low E
+            { frets: [-1, 0, -1, -1, -1, -1], frequency: 110 },    // Open A
+            { frets: [-1, -1, -1, 2, -1, -1], frequency: 220 },    // G string, 2nd fret
+            { frets: [-1, -1, -1, -1, -1, 0], frequency: 329.63 }  // Open high E
+        ];
+        for (const note of notes) {
+            const buffer = await chordPlayer.render({ name: "note", frets: note.frets, fingers: [0, 0, 0, 0, 0, 0] }, { decay: 1 });
+            const frame = buffer.getChannelData(0).slice(4410, 4410 + 4096); // 100 ms in, past the pick noise
+            const result = PitchDetection.yin(frame, buffer.sampleRate);
+            const cents = 1200 * Math.log2(result.frequency / note.frequency);
+            assert.ok(Math.abs(cents) < 5, `${note.frequency} Hz string played at ${result.frequency} Hz`);
+            assert.ok(peak(buffer.getChannelData(0)) < 1, `${note.frequency} Hz string clips`);
+        }
+    });
+
+    await t.test("leaves single notes at full level and six strings at the headroom", () => {
+        assert.strictEqual(chordPlayer.getLevel(1), 1);
+        assert.strictEqual(chordPlayer.getLevel(6), chordPlayer.headroom);
+        assert.ok(chordPlayer.getLevel(3) < 1 && chordPlayer.getLevel(3) > chordPlayer.headroom);
+    });
+
+    await t.test("stops a picking pattern at the chord's duration", () => {
+        // Travis picking is eight eighth notes: at 120 BPM, a two-beat chord has room for four
+        const options = Object.assign({}, chordPlayer.settings, { pattern: "travis", stepDuration: 0.25 });
+        const full = chordPlayer.getEvents(chord("C"), options);
+        const clipped = chordPlayer.getEvents(chord("C"), Object.assign({ duration: 1 }, options));
+        assert.strictEqual(Math.max(...full.map(event => event.offset)), 1.75);
+        assert.strictEqual(Math.max(...clipped.map(event => event.offset)), 0.75);
+        assert.deepStrictEqual(clipped, full.filter(event => event.offset < 1));
+    });
+
+    await t.test("keeps bright, fast strums below clipping", async () => {
+        const options = { brightness: 1, body: 1, strumSpeed: 0.005, decay: 2 };
+        for (const name of ["E", "G", "Em"]) {
+            for (const direction of ["down", "up"]) {
+                const buffer = await chordPlayer.render(chord(name), Object.assign({ direction }, options));
+                const level = peak(buffer.getChannelData(0));
+                assert.ok(level < 1, `${name} strummed ${direction} peaks at ${level}`);
+                assert.ok(level > 0.1, `${name} strummed ${direction} is too quiet (${level})`);
+            }
+        }
+    });
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./helpers/load-app.js");
+
+test("play-it-back questions don't hear their own prompt", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const earTrainer = window.eval("earTrainer");
+    const midiToFrequency = window.eval("midiToFrequency");
+
+    earTrainer.levels.playback = 1; // Open strings, played to the user first
+    const question = earTrainer.next("playback");
+    earTrainer.play();
+    const start = window.performance.now();
+    const reading = time => ({ frequency: midiToFrequency(question.target), time });
+
+    // The tuner picks up the prompt through the speakers for as long as it rings
+    for (let time = start; time < start + 2500; time += 50) {
+        assert.strictEqual(earTrainer.checkPitch(reading(time)), null, `answered at ${time - start} ms`);
+    }
+    assert.strictEqual(question.answered, false);
+
+    // Once it has died away, the same note held for 400 ms is the user playing it back
+    const after = earTrainer.listenFrom;
+    let result = null;
+    for (let time = after; !result && time <= after + 1000; time += 50) result = earTrainer.checkPitch(reading(time));
+    assert.ok(result && result.correct);
+});
@@ -0,0 +1,42 @@
+/**
+ * Loads index.html and its scripts into jsdom so tests can reach the app's
+ * classes and singletons (window.eval("metronome"), etc.). There is no real
+ * audio output or microphone: the audio contexts come from web-audio-engine,
+ * whose AudioContext stand-in only moves its clock when processTo() is called.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { OfflineAudioContext, RenderingAudioContext } = require("web-audio-engine");
+
+const root = path.join(__dirname, "..", "..");
+
+async function loadApp() {
+    // The page is parsed without its <script> tags; they run below in the page's context
+    const page = fs.readFileSync(path.join(root, "index.html"), "utf8");
+    const scripts = Array.from(page.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+    const html = page.replace(/<script[^>]*><\/script>/g, "");
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("error", (...args) => console.error(...args));
+    const dom = new JSDOM(html, { url: "http://localhost/", runScripts: "outside-only", pretendToBeVisual: true, virtualConsole });
+    const window = dom.window;
+
+    window.AudioContext = RenderingAudioContext;
+    window.OfflineAudioContext = OfflineAudioContext;
+    window.HTMLCanvasElement.prototype.getContext = () => null;
+    window.alert = () => {};
+
+    const context = dom.getInternalVMContext();
+    scripts.forEach((file) => {
+        const code = fs.readFileSync(path.join(root, file), "utf8");
+        new vm.Script(code, { filename: file }).runInContext(context);
+    });
+
+    // Let init's promise chains (the practice log falls back to memory without IndexedDB) settle
+    await new Promise(resolve => window.setTimeout(resolve));
+    return window;
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PitchDetection = require("../pitch-detection.js");
+const TimeStretch = require("../time-stretch.js");
+const { loadApp } = require("./helpers/load-app.js");
+
+const sampleRate = 48000;
+
+function sine(frequency, seconds, rate = sampleRate) {
+    return Float32Array.from({ length: Math.round(seconds * rate) }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / rate));
+}
+
+test("TimeStretch.wsola slows audio down without changing its pitch", () => {
+    const input = sine(220, 1);
+    const output = TimeStretch.wsola(input, 0.5, sampleRate);
+    assert.strictEqual(output.length, input.length * 2);
+
+    const result = PitchDetection.yin(output.slice(sampleRate, sampleRate + 4096), sampleRate);
+    assert.ok(Math.abs(1200 * Math.log2(result.frequency / 220)) < 5, `${result.frequency} Hz`);
+});
+
+test("Looper stretches each layer once per speed", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const looper = window.eval("looper");
+    const contextRate = window.eval("getAudioContext().sampleRate");
+    const stretch = looper.stretcher.stretch.bind(looper.stretcher);
+    let stretched = 0;
+    looper.stretcher.stretch = (...args) => {
+        stretched++;
+        return stretch(...args);
+    };
+
+    looper.layers = [sine(110, 2, contextRate), sine(165, 2, contextRate)].map(samples => ({ samples, gain: 1, muted: false, stretch: null }));
+    looper.loopDuration = 2;
+    looper.speed = 0.5;
+    await looper.play();
+    assert.strictEqual(stretched, 2);
+    assert.strictEqual(looper.playDuration, 4);
+
+    // Mixing changes reuse the stretched layers
+    looper.updateLayer(0, { muted: true });
+    looper.updateLayer(1, { gain: 0.5 });
+    await looper.refreshPlayback();
+    assert.strictEqual(stretched, 2);
+    assert.strictEqual(looper.mixdown().length, 4 * contextRate);
+
+    // A new speed stretches them again, once
+    looper.setSpeed(0.75);
+    await looper.refreshPlayback();
+    await looper.refreshPlayback();
+    assert.strictEqual(stretched, 4);
+    looper.stop();
+});
+
+test("Looper shows layer changes while stopped", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const looper = window.eval("looper");
+    const rows = () => window.document.querySelectorAll("#looper-layers .looper-layer");
+
+    looper.layers = [sine(110, 1), sine(165, 1), sine(220, 1)].map(samples => ({ samples, gain: 1, muted: false, stretch: null }));
+    looper.loopDuration = 1;
+    looper.notify();
+    assert.strictEqual(rows().length, 3);
+
+    rows()[1].querySelector("button").click();
+    assert.strictEqual(looper.layers.length, 2);
+    assert.strictEqual(rows().length, 2);
+
+    // The rows left behind drive the layers that are left
+    const volume = rows()[1].querySelector("input[type=range]");
+    volume.value = "0.5";
+    volume.dispatchEvent(new window.Event("change"));
+    assert.strictEqual(looper.layers[1].gain, 0.5);
+    assert.strictEqual(looper.isPlaying, false);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PitchDetection = require("../pitch-detection.js");
+
+const sampleRate = 48000;
+
+// E2 to E4: the open strings of a guitar in standard tuning
+const openStrings = { E2: 82.41, A2: 110, D3: 146.83, G3: 196, B3: 246.94, E4: 329.63 };
+
+// Sum of harmonics of frequency, amplitudes[0] being the fundamental
+function tone(frequency, amplitudes = [1], length = 4096) {
+    return Float32Array.from({ length }, (_, i) => amplitudes.reduce((sum, amplitude, h) =>
+        sum + amplitude * Math.sin(2 * Math.PI * frequency * (h + 1) * i / sampleRate + h), 0));
+}
+
+function cents(frequency, target) {
+    return 1200 * Math.log2(frequency / target);
+}
+
+test("yin finds sine waves from E2 to E4", () => {
+    for (const [note, frequency] of Object.entries(openStrings)) {
+        const result = PitchDetection.yin(tone(frequency), sampleRate);
+        assert.ok(Math.abs(cents(result.frequency, frequency)) < 1, `${note}: ${result.frequency} Hz`);
+        assert.ok(result.confidence > 0.95, `${note}: confidence ${result.confidence}`);
+    }
+});
+
+test("yin finds harmonic-rich tones from E2 to E4", () => {
+    for (const [note, frequency] of Object.entries(openStrings)) {
+        const result = PitchDetection.yin(tone(frequency, [1, 0.8, 0.6, 0.4, 0.3, 0.2]), sampleRate);
+        assert.ok(Math.abs(cents(result.frequency, frequency)) < 1, `${note}: ${result.frequency} Hz`);
+    }
+});
+
+test("yin reports silence and noise below the gate as -1", () => {
+    const silence = PitchDetection.yin(new Float32Array(4096), sampleRate);
+    assert.deepStrictEqual(silence, { frequency: -1, confidence: 0, rms: 0 });
+
+    const hiss = Float32Array.from({ length: 4096 }, () => 0.002 * (Math.random() * 2 - 1));
+    assert.strictEqual(PitchDetection.yin(hiss, sampleRate).frequency, -1);
+});
+
+test("yin does not jump an octave up when the second harmonic dominates", () => {
+    // A low E whose fundamental is much weaker than its octave, as on many pickups
+    const result = PitchDetection.yin(tone(82.41, [0.3, 1, 0.6, 0.4, 0.2]), sampleRate);
+    assert.ok(Math.abs(cents(result.frequency, 82.41)) < 1, `${result.frequency} Hz`);
+});
+
+test("the smoother folds an isolated octave jump back onto the note", () => {
+    const smoother = PitchDetection.createSmoother();
+    const readings = [82.41, 82.41, 82.41, 164.82, 82.41, 82.41]
+        .map(frequency => smoother.push({ frequency, confidence: 0.95 }));
+    readings.forEach(frequency => assert.ok(Math.abs(cents(frequency, 82.41)) < 1, `${frequency} Hz`));
+});
+
+test("the smoother releases the note after missing frames", () => {
+    const smoother = PitchDetection.createSmoother({ holdFrames: 2 });
+    smoother.push({ frequency: 110, confidence: 0.95 });
+    const silence = { frequency: -1, confidence: 0 };
+    assert.strictEqual(smoother.push(silence), 110);
+    smoother.push(silence);
+    assert.strictEqual(smoother.push(silence), -1);
+});
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./helpers/load-app.js");
+
+test("PracticeLog.importJSON drops tempo details that aren't numbers", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const practiceLog = window.eval("practiceLog");
+    const start = Date.now() - 3600 * 1000;
+    const session = (offset, details) => Object.assign({ activity: "metronome", start: start + offset, duration: 120 }, details);
+
+    const added = await practiceLog.importJSON(JSON.stringify({
+        sessions: [
+            session(0, { bpm: 90, maxBpm: 100 }),
+            session(1000, { bpm: "fast", maxBpm: null }),
+            session(2000, { bpm: -20, maxBpm: 120 })
+        ]
+    }));
+    assert.strictEqual(added, 3);
+
+    const sessions = (await practiceLog.getAll()).sort((a, b) => a.start - b.start);
+    assert.deepStrictEqual(Array.from(sessions, s => [s.bpm, s.maxBpm]), [[90, 100], [undefined, undefined], [undefined, 120]]);
+    const tempo = practiceLog.getStats(sessions).tempo;
+    assert.ok(tempo.every(point => Number.isFinite(point.bpm)));
+});
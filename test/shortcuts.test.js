@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./helpers/load-app.js");
+
+test("Keyboard shortcuts", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const { document } = window;
+    const metronome = window.eval("metronome");
+    const press = (key) => {
+        const event = new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true });
+        document.body.dispatchEvent(event);
+        return event.defaultPrevented;
+    };
+
+    await t.test("leave Space and the arrow keys to scroll the page", () => {
+        const bpm = metronome.bpm;
+        for (const key of [" ", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"]) {
+            assert.strictEqual(press(key), false, `${JSON.stringify(key)} was taken`);
+        }
+        assert.strictEqual(metronome.bpm, bpm);
+    });
+
+    await t.test("nudge the tempo with = and -", () => {
+        const bpm = metronome.bpm;
+        assert.strictEqual(press("="), true);
+        assert.strictEqual(metronome.bpm, bpm + 1);
+        assert.strictEqual(press("-"), true);
+        assert.strictEqual(metronome.bpm, bpm);
+    });
+});
+
+test("Bar and beat announcements", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const ui = window.eval("ui");
+    const announcer = window.document.getElementById("beat-announcer");
+    const progress = { bar: 3, bpm: 100, targetBpm: null, muted: false };
+    ui.isMetronomeRunning = true;
+
+    assert.strictEqual(announcer.getAttribute("aria-live"), "polite");
+    ui.highlightBeat(1);
+    ui.updateMetronomeProgress(progress);
+    assert.strictEqual(announcer.textContent, "", "announced without opting in");
+
+    ui.setAnnounceBars(true);
+    ui.highlightBeat(1);
+    assert.strictEqual(announcer.textContent, "", "announced a beat");
+    ui.updateMetronomeProgress(progress);
+    assert.strictEqual(announcer.textContent, "Bar 3");
+
+    // Beats as well: the downbeat stays the bar
+    ui.setAnnounceBeats(true);
+    ui.highlightBeat(0);
+    assert.strictEqual(announcer.textContent, "Bar 3");
+    ui.highlightBeat(1);
+    assert.strictEqual(announcer.textContent, "2");
+
+    // Beats only
+    ui.setAnnounceBars(false);
+    ui.highlightBeat(0);
+    assert.strictEqual(announcer.textContent, "1");
+    ui.updateMetronomeProgress(progress);
+    assert.strictEqual(announcer.textContent, "1", "announced a bar");
+    ui.setAnnounceBeats(false);
+    assert.strictEqual(announcer.textContent, "");
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./helpers/load-app.js");
+
+const latency = 0.03;
+
+test("TimingAnalyzer", async (t) => {
+    const window = await loadApp();
+    t.after(() => window.close());
+    const metronome = window.eval("metronome");
+    const timingAnalyzer = window.eval("timingAnalyzer");
+
+    await t.test("doesn't start audio to show the latency", () => {
+        assert.strictEqual(window.eval("audioContext"), null);
+        assert.strictEqual(window.document.getElementById("timing-latency").textContent, "Latency: not calibrated");
+    });
+
+    // Eight beats of the metronome at 120 BPM, rendered offline and heard back
+    // through a "microphone" that also picks up anything played. The room makes
+    // the clicks quieter and half a millisecond later than the calibration says.
+    const ctx = window.eval("getAudioContext()");
+    const { recorder, reference } = timingAnalyzer;
+    [recorder, reference].forEach((stub) => {
+        stub.open = async () => { stub.chunks = []; };
+        stub.close = () => {};
+    });
+    timingAnalyzer.latency = latency;
+    metronome.setBpm(120);
+
+    // Plays eight beats from a context time; played notes are offsets from each beat
+    async function listen(from, played = []) {
+        const beats = Array.from({ length: 8 }, (_, i) => from + 0.5 + i * 0.5);
+        await timingAnalyzer.start();
+        beats.forEach((time, i) => metronome.scheduleNote(i % metronome.beatsInBar, 0, time));
+        ctx.processTo(from + 5);
+        const clicks = ctx.exportAsAudioData().channelData[0];
+
+        const shift = Math.round((latency + 0.0005) * ctx.sampleRate);
+        const mic = new Float32Array(clicks.length + shift);
+        clicks.forEach((value, i) => { mic[i + shift] = 0.6 * value; });
+        beats.forEach(beat => played.forEach((offset) => {
+            const time = beat + offset;
+            const start = Math.round((time + latency) * ctx.sampleRate);
+            for (let i = 0; i < 4000; i++) mic[start + i] += 0.5 * Math.exp(-i / 1000) * Math.sin(2 * Math.PI * 196 * i / ctx.sampleRate);
+        }));
+
+        for (let start = 0; start < mic.length; start += 2048) {
+            recorder.chunks.push({ time: start / ctx.sampleRate, samples: mic.slice(start, start + 2048) });
+            reference.chunks.push({ time: start / ctx.sampleRate, samples: clicks.slice(start, start + 2048) });
+        }
+        timingAnalyzer.poll();
+        timingAnalyzer.stop();
+        return timingAnalyzer.hits;
+    }
+
+    await t.test("doesn't grade the metronome's own click", async () => {
+        assert.strictEqual((await listen(0)).length, 0);
+    });
+
+    // Early, on the click and just behind it, where the click itself would hide the note
+    let from = 0;
+    for (const ms of [-40, 0, 20, 40]) {
+        from += 5;
+        await t.test(`grades notes played ${ms} ms off the click`, async () => {
+            const hits = await listen(from, [ms / 1000]);
+            assert.strictEqual(hits.length, 8);
+            hits.forEach(hit => assert.ok(Math.abs(hit.error - ms) < 2, `${hit.error} ms`));
+        });
+    }
+});
@@ -0,0 +1,64 @@
+/**
+ * Time Stretch
+ * WSOLA (waveform-similarity overlap-add): slows audio down without changing its
+ * pitch by overlapping short windows of the input, each nudged to line up with
+ * the waveform already written so the joins don't phase-cancel.
+ * Loaded by the page, by stretch-worker.js, and by Node (module.exports) for testing.
+ */
+
+const TimeStretch = {
+    /**
+     * Returns a new Float32Array playing `rate` times as fast (0.5 = half speed).
+     */
+    wsola(input, rate, sampleRate, options = {}) {
+        if (rate === 1) return input.slice();
+        const opts = Object.assign({ windowMs: 40, toleranceMs: 8 }, options);
+
+        const windowSize = Math.round(sampleRate * opts.windowMs / 1000 / 2) * 2;
+        const hop = windowSize / 2;
+        const tolerance = Math.round(sampleRate * opts.toleranceMs / 1000);
+        const outputLength = Math.round(input.length / rate);
+        const output = new Float32Array(outputLength + windowSize);
+
+        const window = new Float32Array(windowSize);
+        for (let i = 0; i < windowSize; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / windowSize);
+        }
+
+        let previous = 0; // Input position of the last window used
+        for (let outPosition = 0; outPosition < outputLength; outPosition += hop) {
+            const nominal = Math.round(outPosition * rate);
+            let best = Math.min(nominal, Math.max(0, input.length - windowSize));
+
+            // Best match, near the nominal position, for what naturally follows the previous window
+            if (outPosition > 0) {
+                const natural = previous + hop;
+                let bestScore = -Infinity;
+                const from = Math.max(0, nominal - tolerance);
+                const to = Math.min(input.length - windowSize, nominal + tolerance);
+                for (let candidate = from; candidate <= to; candidate++) {
+                    let score = 0;
+                    for (let i = 0; i < hop; i += 2) {
+                        const expected = natural + i < input.length ? input[natural + i] : 0;
+                        score += input[candidate + i] * expected;
+                    }
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = candidate;
+                    }
+                }
+            }
+
+            for (let i = 0; i < windowSize && best + i < input.length; i++) {
+                output[outPosition + i] += input[best + i] * window[i];
+            }
+            previous = best;
+        }
+
+        return output.subarray(0, outputLength);
+    }
+};
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = TimeStretch;
+}